@@ -0,0 +1,326 @@
+/**
+ * Batch Export Module
+ * Splits exams larger than the batch size (MAX_BATCH_SIZE by default) into several
+ * Blackboard TXT files, optionally with a package per file in the selected format,
+ * and delivers them as one zip with a summary of which questions went where.
+ * Questions are grouped by module when the exam has [Module N] markers, by type otherwise,
+ * and a group is only split across files when it is larger than the batch size itself.
+ * When the export settings split the questions into pools, each pool gets its own file(s).
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Per-batch package builders, keyed by the format dropdown values
+// Each returns { content, skipped } where skipped lists { question, reason }
+const BATCH_PACKAGE_FORMATS = {
+    qti21: {
+        name: 'QTI 2.1',
+        extension: 'zip',
+        build: async (questions, settings) => ({
+            content: await createQTIPackage(questions, settings).generateAsync({ type: 'uint8array' }),
+            skipped: []
+        })
+    },
+    qti12: {
+        name: 'QTI 1.2',
+        extension: 'zip',
+        build: async (questions, settings) => ({
+            content: await createQTI12Package(questions, settings).generateAsync({ type: 'uint8array' }),
+            skipped: []
+        })
+    },
+    cc13: {
+        name: 'Common Cartridge',
+        extension: 'imscc',
+        build: async (questions, settings) => {
+            const { zip, skipped } = createCommonCartridgePackage(questions, settings);
+            return { content: await zip.generateAsync({ type: 'uint8array' }), skipped };
+        }
+    },
+    moodle: {
+        name: 'Moodle XML',
+        extension: 'xml',
+        build: async (questions, settings) => {
+            const { xml, skipped } = generateMoodleXML(questions, settings);
+            return { content: xml, skipped };
+        }
+    },
+    gift: {
+        name: 'GIFT',
+        extension: 'gift.txt',
+        build: async (questions, settings) => {
+            const { text, skipped } = generateGIFT(questions, settings);
+            return { content: text, skipped };
+        }
+    }
+};
+
+// Longest question text shown per line of the summary
+const BATCH_SUMMARY_STEM_LENGTH = 80;
+
+// ============================================================================
+// SPLITTING
+// ============================================================================
+
+/**
+ * Groups questions by module, or by type when no question has a module
+ * Module groups follow the module number (questions without one last), type groups the tab order
+ * @param {Array<Object>} questions - Question objects, in output order
+ * @returns {Object} - { groupedBy: 'module'|'type', groups: [{ label, questions }] }
+ */
+function groupQuestionsForBatches(questions) {
+    const byModule = questions.some(question => question.metadata?.module != null);
+    const groups = new Map();
+
+    questions.forEach(question => {
+        const key = byModule ? question.metadata?.module ?? null : question.type;
+        if (!groups.has(key)) {
+            const label = byModule
+                ? (key === null ? 'No module' : `Module ${key}`)
+                : (QUESTION_TABS.find(tab => tab.type === key)?.label || key);
+            groups.set(key, { key, label, questions: [] });
+        }
+        groups.get(key).questions.push(question);
+    });
+
+    const typeIndex = type => QUESTION_TABS.findIndex(tab => tab.type === type);
+    const sorted = [...groups.values()].sort((a, b) => byModule
+        ? compareOptionalNumbers(a.key, b.key)
+        : typeIndex(a.key) - typeIndex(b.key));
+
+    return {
+        groupedBy: byModule ? 'module' : 'type',
+        groups: sorted.map(({ label, questions: groupQuestions }) => ({ label, questions: groupQuestions }))
+    };
+}
+
+/**
+ * Packs question groups into batches of at most batchSize questions
+ * Whole groups are kept together when they fit; larger groups are cut into parts of batchSize
+ * @param {Array<Object>} groups - Groups from groupQuestionsForBatches
+ * @param {number} batchSize - Maximum number of questions per batch
+ * @returns {Array<Object>} - Batches as { labels, questions }
+ */
+function packQuestionBatches(groups, batchSize) {
+    const batches = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) batches.push(current);
+        current = null;
+    };
+
+    groups.forEach(group => {
+        if (group.questions.length > batchSize) {
+            flush();
+            const parts = Math.ceil(group.questions.length / batchSize);
+            for (let part = 0; part < parts; part++) {
+                flush();
+                current = {
+                    labels: [`${group.label} (part ${part + 1} of ${parts})`],
+                    questions: group.questions.slice(part * batchSize, (part + 1) * batchSize)
+                };
+            }
+            // The last part stays open so the next groups can fill it up
+            return;
+        }
+
+        if (current && current.questions.length + group.questions.length > batchSize) {
+            flush();
+        }
+        if (!current) current = { labels: [], questions: [] };
+        current.labels.push(group.label);
+        current.questions.push(...group.questions);
+    });
+    flush();
+
+    return batches;
+}
+
+/**
+ * Splits questions into batches of at most batchSize questions, grouped by module or type
+ * Each batch keeps the selected output order
+ * @param {Array<Object>} questions - Question objects
+ * @param {number} batchSize - Maximum number of questions per batch
+ * @param {string} order - Value from QUESTION_ORDERS
+ * @returns {Object} - { groupedBy, batches: [{ labels, questions }] }
+ */
+function splitIntoBatches(questions, batchSize, order = QUESTION_ORDERS.TYPE) {
+    const { groupedBy, groups } = groupQuestionsForBatches(orderQuestions(questions, order));
+    const batches = packQuestionBatches(groups, batchSize).map(batch => ({
+        labels: batch.labels,
+        questions: orderQuestions(batch.questions, order)
+    }));
+    return { groupedBy, batches };
+}
+
+/**
+ * Splits questions into one file per pool (see groupQuestionsIntoPools)
+ * Pools larger than the batch size are cut into parts
+ * @param {Array<Object>} questions - Question objects
+ * @param {Object} settings - Export settings
+ * @returns {Object} - { groupedBy, pools: true, batches: [{ labels, title, questions }] }
+ */
+function splitIntoPools(questions, settings) {
+    const pools = groupQuestionsIntoPools(orderQuestions(questions, settings.order), settings.poolGrouping, settings.poolName);
+    const batches = [];
+    pools.forEach(pool => {
+        const parts = packQuestionBatches([pool], settings.batchSize);
+        parts.forEach((batch, part) => {
+            const suffix = parts.length > 1 ? ` (part ${part + 1} of ${parts.length})` : '';
+            batches.push({ labels: batch.labels, title: `${pool.title}${suffix}`, questions: batch.questions });
+        });
+    });
+    return { groupedBy: settings.poolGrouping, pools: true, batches };
+}
+
+/**
+ * Splits questions into the files of the .txt download: one per pool when the export settings
+ * split the questions into pools, otherwise batches of at most the batch size
+ * @param {Array<Object>} questions - Question objects
+ * @param {Object} settings - Export settings
+ * @returns {Object} - { groupedBy, pools, batches }
+ */
+function splitForDownload(questions, settings) {
+    if (settings.poolGrouping && settings.poolGrouping !== POOL_GROUPINGS.NONE) {
+        return splitIntoPools(questions, settings);
+    }
+    return { ...splitIntoBatches(questions, settings.batchSize, settings.order), pools: false };
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Builds the base file name of a batch ("batch_02_module_3", "pool_01_clo1")
+ * @param {Object} batch - Batch from splitForDownload
+ * @param {number} index - Batch index
+ * @param {string} prefix - 'batch' or 'pool'
+ * @returns {string} - File name without extension
+ */
+function getBatchFilename(batch, index, prefix = 'batch') {
+    const slug = label => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const labels = batch.labels.length === 1
+        ? slug(batch.labels[0])
+        : `${slug(batch.labels[0])}_to_${slug(batch.labels[batch.labels.length - 1])}`;
+    return `${prefix}_${String(index + 1).padStart(2, '0')}_${labels}`;
+}
+
+// Translation keys of the groupedBy values of splitForDownload
+const BATCH_GROUP_LABEL_KEYS = {
+    module: 'batchGroupModule',
+    type: 'batchGroupType',
+    outcome: 'batchGroupOutcome',
+    difficulty: 'batchGroupDifficulty'
+};
+
+/**
+ * Writes the plain-text summary listing the questions of every batch file
+ * Written in the interface language; question locations match the diagnostics panel
+ * @param {Object} split - Result of splitForDownload
+ * @param {Array<Object>} files - Per batch: { txt, package, skipped }
+ * @param {Array<Object>} questions - Every parsed question
+ * @param {Object} settings - Export settings
+ * @returns {string} - Summary text
+ */
+function generateBatchSummary(split, files, questions, settings) {
+    const title = settings.poolName || t('poolNamePlaceholder');
+    const counts = {
+        count: questions.length,
+        files: split.batches.length,
+        batchSize: settings.batchSize,
+        groupedBy: t(BATCH_GROUP_LABEL_KEYS[split.groupedBy] || split.groupedBy)
+    };
+    const lines = [
+        title,
+        t(split.pools ? 'batchSummaryPools' : 'batchSummaryBatches', counts),
+        ''
+    ];
+
+    split.batches.forEach((batch, index) => {
+        const file = files[index];
+        const count = batch.questions.length;
+        lines.push(t(count === 1 ? 'batchSummaryFileOne' : 'batchSummaryFile', { file: file.txt, count, labels: batch.labels.join(', ') }));
+        if (file.package) lines.push(t('batchSummaryPackage', { file: file.package }));
+        batch.questions.forEach(question => {
+            const stem = question.stem.length > BATCH_SUMMARY_STEM_LENGTH
+                ? `${question.stem.slice(0, BATCH_SUMMARY_STEM_LENGTH - 1)}…`
+                : question.stem;
+            const skipped = file.skipped.find(note => note.question === question);
+            const [location] = describeExportNotes([{ question, reason: '' }], questions);
+            const note = skipped ? ` [${t('batchSummarySkipped', { reason: skipped.reason })}]` : '';
+            lines.push(`  ${formatDiagnosticLocation(location)}: ${stem}${note}`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\r\n');
+}
+
+// ============================================================================
+// MAIN DOWNLOAD FUNCTION
+// ============================================================================
+
+/**
+ * Downloads the questions as one zip of batch (or pool) files with a summary
+ * @param {Array<Object>} questions - Every parsed question, in tab order
+ * @param {Object} settings - Export settings
+ */
+async function downloadBatches(questions, settings) {
+    if (typeof JSZip === 'undefined') {
+        alert("JSZip library not loaded. Please refresh the page.");
+        return;
+    }
+
+    const split = splitForDownload(questions, settings);
+    const packageFormat = settings.batchPackages
+        ? BATCH_PACKAGE_FORMATS[settings.format] || BATCH_PACKAGE_FORMATS.qti21
+        : null;
+    const title = settings.poolName || 'Question Bank';
+    const zip = new JSZip();
+    const files = [];
+    const notes = [];
+
+    try {
+        for (const [index, batch] of split.batches.entries()) {
+            const name = getBatchFilename(batch, index, split.pools ? 'pool' : 'batch');
+            const file = { txt: `${name}.txt`, package: null, skipped: [] };
+            zip.file(file.txt, generateBlackboardTXT(batch.questions));
+
+            if (packageFormat) {
+                const batchSettings = {
+                    ...settings,
+                    poolName: batch.title || `${title} (batch ${index + 1} of ${split.batches.length})`,
+                    poolGrouping: POOL_GROUPINGS.NONE
+                };
+                const { content, skipped } = await packageFormat.build(batch.questions, batchSettings);
+                file.skipped = skipped;
+                notes.push(...skipped.map(({ question, reason }) => ({
+                    question,
+                    reason: `Not exported to ${packageFormat.name}: ${reason}`
+                })));
+                if (skipped.length < batch.questions.length) {
+                    file.package = `${name}.${packageFormat.extension}`;
+                    zip.file(file.package, content);
+                }
+            }
+            files.push(file);
+        }
+    } catch (error) {
+        showNotification(`Batch export failed: ${error.message}`, 'error', 5000);
+        console.error('Batch export error:', error);
+        return;
+    }
+
+    zip.file('summary.txt', generateBatchSummary(split, files, questions, settings));
+    if (notes.length > 0) renderDiagnostics(describeExportNotes(notes, questions));
+
+    const skippedNote = notes.length > 0
+        ? ` ${notes.length} questions were left out of the packages; see the diagnostics below.`
+        : '';
+    await saveZipPackage(zip, split.pools ? 'blackboard_question_pools.zip' : 'blackboard_questions_batches.zip',
+        `${questions.length} questions downloaded as ${split.batches.length} files of at most ${settings.batchSize} questions.${skippedNote}`);
+}
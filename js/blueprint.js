@@ -0,0 +1,485 @@
+/**
+ * Exam Blueprint Module
+ * Builds the table of specifications for the exam: how many questions cover each
+ * learning outcome at each difficulty level and question type, read from the SEU
+ * (CLO#) and [Difficulty Level: X] tags the parser layer keeps in question.metadata.
+ * Shown in the blueprint panel and downloadable as a CSV or standalone HTML report,
+ * with warnings for course outcomes no question covers.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Difficulty columns: the normalized levels, then questions without a level
+const BLUEPRINT_DIFFICULTIES = [...DIFFICULTY_ORDER, 'none'];
+
+// Translation keys of the difficulty column headers
+const BLUEPRINT_DIFFICULTY_LABELS = {
+    Low: 'difficultyLow',
+    Mid: 'difficultyMid',
+    High: 'difficultyHigh',
+    none: 'blueprintNoDifficulty'
+};
+
+// Course outcome list entries: "CLO3", or a range such as "CLO1-CLO5" / "CLO1-5"
+const OUTCOME_CODE_PATTERN = /^(C?LO)(\d+)$/i;
+const OUTCOME_RANGE_PATTERN = /^(C?LO)(\d+)-(?:C?LO)?(\d+)$/i;
+
+// ============================================================================
+// BLUEPRINT
+// ============================================================================
+
+/**
+ * Reads the course outcome list typed in the blueprint panel
+ * @param {string} text - Comma or space separated codes and ranges ("CLO1-CLO4, CLO6")
+ * @returns {Object} - { outcomes, ignored } with upper-case codes and the entries that are not outcomes
+ */
+function parseCourseOutcomes(text) {
+    const outcomes = [];
+    const ignored = [];
+    const add = code => {
+        if (!outcomes.includes(code)) outcomes.push(code);
+    };
+
+    (text || '').replace(/\s*-\s*/g, '-').split(/[\s,;]+/).filter(Boolean).forEach(entry => {
+        const range = entry.match(OUTCOME_RANGE_PATTERN);
+        const single = entry.match(OUTCOME_CODE_PATTERN);
+        if (range) {
+            const prefix = range[1].toUpperCase();
+            const [from, to] = [parseInt(range[2], 10), parseInt(range[3], 10)].sort((a, b) => a - b);
+            for (let number = from; number <= to; number++) add(`${prefix}${number}`);
+        } else if (single) {
+            add(normalizeOutcomeCode(entry));
+        } else {
+            ignored.push(entry);
+        }
+    });
+
+    return { outcomes, ignored };
+}
+
+/**
+ * Creates an empty row of counts, one per difficulty column plus the total
+ * @returns {Object} - { Low, Mid, High, none, total }
+ */
+function createBlueprintCounts() {
+    const counts = { total: 0 };
+    BLUEPRINT_DIFFICULTIES.forEach(difficulty => {
+        counts[difficulty] = 0;
+    });
+    return counts;
+}
+
+/**
+ * Counts a question in a row of counts
+ * @param {Object} counts - Row from createBlueprintCounts
+ * @param {string|null} difficulty - The question's normalized difficulty
+ */
+function addBlueprintCount(counts, difficulty) {
+    counts[difficulty && counts[difficulty] !== undefined ? difficulty : 'none']++;
+    counts.total++;
+}
+
+/**
+ * Lists the outcomes no question covers
+ * Without a course outcome list, the gaps in each prefix's numbering are reported instead
+ * (CLO1 and CLO3 used means CLO2 is missing)
+ * @param {Array<Object>} outcomes - Outcome rows from buildBlueprint
+ * @param {Array<string>} courseOutcomes - Codes from parseCourseOutcomes
+ * @returns {Object} - { codes, inferred }
+ */
+function findUncoveredOutcomes(outcomes, courseOutcomes) {
+    if (courseOutcomes.length > 0) {
+        const covered = outcomes.filter(outcome => outcome.counts.total > 0).map(outcome => outcome.code);
+        return { codes: courseOutcomes.filter(code => !covered.includes(code)), inferred: false };
+    }
+
+    const highest = {};
+    const used = new Set();
+    outcomes.forEach(({ code }) => {
+        const match = code?.match(OUTCOME_CODE_PATTERN);
+        if (!match) return;
+        const number = parseInt(match[2], 10);
+        highest[match[1]] = Math.max(highest[match[1]] || 0, number);
+        used.add(`${match[1]}${number}`);
+    });
+
+    const codes = [];
+    Object.entries(highest).forEach(([prefix, max]) => {
+        for (let number = 1; number < max; number++) {
+            if (!used.has(`${prefix}${number}`)) codes.push(`${prefix}${number}`);
+        }
+    });
+    return { codes, inferred: true };
+}
+
+/**
+ * Cross-tabulates questions by learning outcome, question type and difficulty
+ * A question with several outcomes is counted under each of them; the totals count it once
+ * @param {Array<Object>} questions - Question objects
+ * @param {string} courseOutcomesText - Course outcome list from the blueprint panel
+ * Warnings are { key, params } so each view can word them in its own language
+ * @returns {Object} - { outcomes: [{ code, counts, types: [{ type, counts }] }], totals, questionCount, sharedCount, warnings }
+ */
+function buildBlueprint(questions, courseOutcomesText = '') {
+    const { outcomes: courseOutcomes, ignored } = parseCourseOutcomes(courseOutcomesText);
+    const rows = new Map();
+    const getRow = code => {
+        if (!rows.has(code)) rows.set(code, { code, counts: createBlueprintCounts(), types: new Map() });
+        return rows.get(code);
+    };
+    courseOutcomes.forEach(getRow);
+
+    const totals = createBlueprintCounts();
+    let sharedCount = 0;
+    questions.forEach(question => {
+        const difficulty = question.metadata?.difficulty || null;
+        const codes = question.metadata?.learningOutcomes?.length ? question.metadata.learningOutcomes : [null];
+        if (codes.length > 1) sharedCount++;
+        addBlueprintCount(totals, difficulty);
+
+        codes.forEach(code => {
+            const row = getRow(code);
+            if (!row.types.has(question.type)) row.types.set(question.type, createBlueprintCounts());
+            addBlueprintCount(row.types.get(question.type), difficulty);
+            addBlueprintCount(row.counts, difficulty);
+        });
+    });
+
+    const typeIndex = type => QUESTION_TABS.findIndex(tab => tab.type === type);
+    const outcomes = [...rows.values()]
+        .sort((a, b) => comparePoolKeys(a.code, b.code, POOL_GROUPINGS.OUTCOME))
+        .map(row => ({
+            code: row.code,
+            counts: row.counts,
+            types: [...row.types.entries()]
+                .sort(([a], [b]) => typeIndex(a) - typeIndex(b))
+                .map(([type, counts]) => ({ type, counts }))
+        }));
+
+    const warnings = [];
+    const uncovered = findUncoveredOutcomes(outcomes, courseOutcomes);
+    uncovered.codes.forEach(code => {
+        warnings.push({ key: uncovered.inferred ? 'blueprintUncoveredInferred' : 'blueprintUncovered', params: { code } });
+    });
+    if (courseOutcomes.length > 0) {
+        outcomes
+            .filter(({ code }) => code !== null && !courseOutcomes.includes(code))
+            .forEach(({ code }) => warnings.push({ key: 'blueprintNotListed', params: { code } }));
+    }
+    const unassigned = rows.get(null)?.counts.total || 0;
+    if (unassigned > 0) {
+        warnings.push({ key: unassigned === 1 ? 'blueprintUnassignedOne' : 'blueprintUnassigned', params: { count: unassigned } });
+    }
+    ignored.forEach(entry => warnings.push({ key: 'blueprintIgnored', params: { entry } }));
+
+    return { outcomes, totals, questionCount: questions.length, sharedCount, warnings };
+}
+
+/**
+ * Flattens a blueprint into table rows: per outcome, its total row then a row per question type,
+ * and a final total row
+ * @param {Object} blueprint - Result of buildBlueprint
+ * @param {Function} label - Translation lookup for the fixed labels (t, or the English strings)
+ * @returns {Array<Object>} - [{ kind: 'outcome'|'type'|'total', outcome, type, counts, share }]
+ */
+function getBlueprintRows(blueprint, label) {
+    const share = counts => (blueprint.questionCount > 0
+        ? `${Math.round((counts.total / blueprint.questionCount) * 100)}%`
+        : '0%');
+    const typeLabel = type => {
+        const tab = QUESTION_TABS.find(entry => entry.type === type);
+        return tab ? label(tab.labelKey) : type;
+    };
+
+    const rows = [];
+    blueprint.outcomes.forEach(outcome => {
+        const outcomeLabel = outcome.code ?? label('blueprintNoOutcome');
+        rows.push({ kind: 'outcome', outcome: outcomeLabel, type: label('blueprintAllTypes'), counts: outcome.counts, share: share(outcome.counts) });
+        outcome.types.forEach(({ type, counts }) => {
+            rows.push({ kind: 'type', outcome: outcomeLabel, type: typeLabel(type), counts, share: share(counts) });
+        });
+    });
+    rows.push({ kind: 'total', outcome: label('blueprintTotal'), type: '', counts: blueprint.totals, share: share(blueprint.totals) });
+    return rows;
+}
+
+/**
+ * Column headers of the blueprint table
+ * @param {Function} label - Translation lookup
+ * @returns {Array<string>} - Header texts
+ */
+function getBlueprintHeaders(label) {
+    return [
+        label('blueprintOutcome'),
+        label('blueprintType'),
+        ...BLUEPRINT_DIFFICULTIES.map(difficulty => label(BLUEPRINT_DIFFICULTY_LABELS[difficulty])),
+        label('blueprintTotal'),
+        label('blueprintShare')
+    ];
+}
+
+/**
+ * Describes how the questions were counted (shown above the table)
+ * @param {Object} blueprint - Result of buildBlueprint
+ * @param {Function} label - Translation lookup, called as label(key, params)
+ * @returns {string} - Summary sentence
+ */
+function describeBlueprint(blueprint, label) {
+    const count = blueprint.questionCount;
+    const shared = blueprint.sharedCount;
+    const summary = label(count === 1 ? 'blueprintSummaryOne' : 'blueprintSummary', { count });
+    return shared > 0
+        ? `${summary} ${label(shared === 1 ? 'blueprintSharedOne' : 'blueprintShared', { count: shared })}`
+        : summary;
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Looks up a fixed label in English; the downloaded reports are always in English
+ * @param {string} key - Translation key
+ * @param {Object} params - Values for the {name} placeholders
+ * @returns {string} - English text
+ */
+function englishLabel(key, params = {}) {
+    return fillPlaceholders(translations.en[key] || key, params);
+}
+
+/**
+ * Quotes a CSV field when it holds a separator, quote or line break
+ * @param {string|number} value - Field value
+ * @returns {string} - CSV field
+ */
+function formatCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the blueprint as CSV, with the warnings after the table
+ * @param {Object} blueprint - Result of buildBlueprint
+ * @param {string} title - Exam (pool) title
+ * @returns {string} - CSV text, with a byte order mark so spreadsheets read it as UTF-8
+ */
+function generateBlueprintCSV(blueprint, title) {
+    const lines = [
+        [title],
+        [describeBlueprint(blueprint, englishLabel)],
+        [],
+        getBlueprintHeaders(englishLabel),
+        ...getBlueprintRows(blueprint, englishLabel).map(row => [
+            row.outcome,
+            row.type,
+            ...BLUEPRINT_DIFFICULTIES.map(difficulty => row.counts[difficulty]),
+            row.counts.total,
+            row.share
+        ])
+    ];
+    if (blueprint.warnings.length > 0) {
+        lines.push([], [englishLabel('blueprintWarnings')], ...blueprint.warnings.map(warning => [englishLabel(warning.key, warning.params)]));
+    }
+    return `\uFEFF${lines.map(fields => fields.map(formatCSVField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Escapes text for HTML element content
+ * @param {string|number} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes the blueprint as a standalone, printable HTML page
+ * @param {Object} blueprint - Result of buildBlueprint
+ * @param {string} title - Exam (pool) title
+ * @returns {string} - HTML document
+ */
+function generateBlueprintHTML(blueprint, title) {
+    const headerCells = getBlueprintHeaders(englishLabel).map(header => `<th>${escapeHTML(header)}</th>`).join('');
+    const bodyRows = getBlueprintRows(blueprint, englishLabel).map(row => {
+        const cells = [
+            row.kind === 'type' ? '' : row.outcome,
+            row.type,
+            ...BLUEPRINT_DIFFICULTIES.map(difficulty => row.counts[difficulty]),
+            row.counts.total,
+            row.share
+        ].map(cell => `<td>${escapeHTML(cell)}</td>`).join('');
+        const uncovered = row.kind === 'outcome' && row.counts.total === 0 ? ' uncovered' : '';
+        return `
+        <tr class="${row.kind}${uncovered}">${cells}</tr>`;
+    }).join('');
+    const warnings = blueprint.warnings.length > 0
+        ? `
+    <h2>${escapeHTML(englishLabel('blueprintWarnings'))}</h2>
+    <ul>${blueprint.warnings.map(warning => `
+        <li>${escapeHTML(englishLabel(warning.key, warning.params))}</li>`).join('')}
+    </ul>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)} - ${escapeHTML(englishLabel('blueprintTitle'))}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #999; padding: 4px 10px; text-align: center; }
+        th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: start; }
+        tr.outcome td, tr.total td { font-weight: bold; background: #f0f0f0; }
+        tr.uncovered td { background: #fde2e2; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHTML(title)}</h1>
+    <p>${escapeHTML(englishLabel('blueprintTitle'))} · ${escapeHTML(new Date().toLocaleDateString('en-GB'))}</p>
+    <p>${escapeHTML(describeBlueprint(blueprint, englishLabel))}</p>
+    <table>
+        <thead>
+        <tr>${headerCells}</tr>
+        </thead>
+        <tbody>${bodyRows}
+        </tbody>
+    </table>${warnings}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the blueprint of the questions in the tabs
+ * @returns {Object|null} - { blueprint, title }, or null (with a notification) when there are no questions
+ */
+function createBlueprintFromTabs() {
+    const settings = getExportSettings();
+    const { questions } = parseAllTabs();
+    if (questions.length === 0) {
+        showNotification('No questions to report. Add questions to the tabs first.', 'error');
+        return null;
+    }
+    return {
+        blueprint: buildBlueprint(questions, settings.courseOutcomes),
+        title: settings.poolName || 'Question Bank'
+    };
+}
+
+/**
+ * Downloads the blueprint as a CSV file
+ */
+function downloadBlueprintCSV() {
+    const report = createBlueprintFromTabs();
+    if (!report) return;
+
+    try {
+        saveTextFile(generateBlueprintCSV(report.blueprint, report.title), 'exam_blueprint.csv', 'text/csv;charset=utf-8');
+        showNotification('Blueprint CSV downloaded successfully!', 'success');
+    } catch (error) {
+        showNotification(`Download failed: ${error.message}`, 'error', 5000);
+        console.error('Blueprint export error:', error);
+    }
+}
+
+/**
+ * Downloads the blueprint as a standalone HTML page
+ */
+function downloadBlueprintHTML() {
+    const report = createBlueprintFromTabs();
+    if (!report) return;
+
+    try {
+        saveTextFile(generateBlueprintHTML(report.blueprint, report.title), 'exam_blueprint.html', 'text/html;charset=utf-8');
+        showNotification('Blueprint report downloaded successfully!', 'success');
+    } catch (error) {
+        showNotification(`Download failed: ${error.message}`, 'error', 5000);
+        console.error('Blueprint export error:', error);
+    }
+}
+
+// ============================================================================
+// VIEW
+// ============================================================================
+
+/**
+ * Renders the blueprint table and its warnings in the blueprint panel
+ */
+function showBlueprint() {
+    const view = document.getElementById('blueprintView');
+    if (!view) return;
+
+    const report = createBlueprintFromTabs();
+    if (!report) {
+        view.hidden = true;
+        return;
+    }
+    const { blueprint } = report;
+    const label = (key, params) => (window.t ? window.t(key, params) : englishLabel(key, params));
+
+    view.innerHTML = '';
+    view.hidden = false;
+
+    const summary = document.createElement('p');
+    summary.className = 'help-text-small';
+    summary.textContent = describeBlueprint(blueprint, label);
+    view.appendChild(summary);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'blueprint-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'blueprint-table';
+
+    const headRow = table.createTHead().insertRow();
+    getBlueprintHeaders(label).forEach(header => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = header;
+        headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    getBlueprintRows(blueprint, label).forEach(row => {
+        const tableRow = body.insertRow();
+        tableRow.className = `blueprint-${row.kind}`;
+        if (row.kind === 'outcome' && row.counts.total === 0) tableRow.classList.add('blueprint-uncovered');
+        [
+            row.kind === 'type' ? '' : row.outcome,
+            row.type,
+            ...BLUEPRINT_DIFFICULTIES.map(difficulty => row.counts[difficulty]),
+            row.counts.total,
+            row.share
+        ].forEach(value => {
+            tableRow.insertCell().textContent = value;
+        });
+    });
+
+    wrapper.appendChild(table);
+    view.appendChild(wrapper);
+
+    if (blueprint.warnings.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'blueprint-warnings';
+        blueprint.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = label(warning.key, warning.params);
+            list.appendChild(item);
+        });
+        view.appendChild(list);
+    }
+}
+
+/**
+ * Re-renders the blueprint when it is on screen (e.g. after the language changes)
+ */
+function refreshBlueprint() {
+    const view = document.getElementById('blueprintView');
+    if (view && !view.hidden) showBlueprint();
+}
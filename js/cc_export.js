@@ -0,0 +1,320 @@
+/**
+ * Common Cartridge Export Module
+ * Packages parsed question objects (js/question_parser.js) as an IMS Common Cartridge 1.3
+ * assessment using the cartridge's QTI 1.2 profile, which Canvas and D2L import as a quiz.
+ * The profile only has six item types and percentage scoring; points go in cc_weighting.
+ * Questions the profile cannot express are left out and listed in the diagnostics.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// The cartridge QTI profile keeps the QTI 1.2 namespace and only adds its own schema
+const CC_QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/ims_qtiasiv1p2';
+const CC_QTI_SCHEMA_LOCATION = 'http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_qtiasiv1p2p1_v1p0.xsd';
+const CC_MANIFEST_NAMESPACE = 'http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1';
+const CC_ASSESSMENT_RESOURCE_TYPE = 'imsqti_xmlv1p2/imscc_xmlv1p3/assessment';
+
+// cc_profile values of the item types the cartridge profile allows
+const CC_ITEM_PROFILES = {
+    MC: 'cc.multiple_choice.v0p1',
+    MA: 'cc.multiple_response.v0p1',
+    TF: 'cc.true_false.v0p1',
+    ESS: 'cc.essay.v0p1',
+    FIL: 'cc.essay.v0p1',
+    FIB: 'cc.fib.v0p1',
+    NUM: 'cc.fib.v0p1'
+};
+
+const CC_UNSUPPORTED = {
+    [QUESTION_TYPES.MAT]: 'the Common Cartridge quiz profile has no matching items',
+    [QUESTION_TYPES.FIB_PLUS]: 'the Common Cartridge quiz profile has one blank per item',
+    [QUESTION_TYPES.ORD]: 'the Common Cartridge quiz profile has no ordering items',
+    [QUESTION_TYPES.JUMBLED_SENTENCE]: 'the Common Cartridge quiz profile has no drop-down items',
+    [QUESTION_TYPES.OP]: 'the Common Cartridge quiz profile has no opinion scale items'
+};
+
+// The profile scores every item out of 100; cc_weighting scales it to the item's points
+const CC_MAX_SCORE = 100;
+
+// ============================================================================
+// ITEM PARTS
+// ============================================================================
+
+function generateCCMetadataXML(data) {
+    return `
+      <itemmetadata>
+        <qtimetadata>
+          <qtimetadatafield><fieldlabel>cc_profile</fieldlabel><fieldentry>${CC_ITEM_PROFILES[data.type]}</fieldentry></qtimetadatafield>
+          <qtimetadatafield><fieldlabel>cc_weighting</fieldlabel><fieldentry>${getItemPoints(data)}</fieldentry></qtimetadatafield>
+        </qtimetadata>
+      </itemmetadata>`;
+}
+
+function generateCCResprocessingXML(conditionsXML) {
+    return `
+      <resprocessing>
+        <outcomes>
+          <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${CC_MAX_SCORE}"/>
+        </outcomes>${conditionsXML}
+      </resprocessing>`;
+}
+
+// Full-score condition with the correct feedback, then the incorrect feedback for anything else
+function generateCCScoredConditionsXML(data, conditionXML) {
+    return `
+        <respcondition continue="No">
+          <conditionvar>${conditionXML}</conditionvar>
+          <setvar action="Set" varname="SCORE">${CC_MAX_SCORE}</setvar>${data.feedback?.correct ? `
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>` : ''}
+        </respcondition>${generateQTI12OtherConditionXML(data)}`;
+}
+
+// Per-choice rationales are shown whenever the choice is selected
+function generateCCChoiceFeedbackConditionsXML(data) {
+    return data.choices.filter(choice => choice.feedback).map(choice => `
+        <respcondition continue="Yes">
+          <conditionvar><varequal respident="response1">${choice.id}</varequal></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${choice.id}_fb"/>
+        </respcondition>`).join('');
+}
+
+// ============================================================================
+// ITEM GENERATORS
+// ============================================================================
+
+function generateCCChoiceItem(data, options) {
+    const isMultiple = data.type === QUESTION_TYPES.MA;
+    // The profile has no partial credit: a Multiple Answer item needs exactly the correct choices
+    const conditionXML = isMultiple
+        ? `<and>${data.choices.map(choice => choice.isCorrect
+            ? `<varequal respident="response1">${choice.id}</varequal>`
+            : `<not><varequal respident="response1">${choice.id}</varequal></not>`).join('')}</and>`
+        : `<varequal respident="response1">${data.choices.find(choice => choice.isCorrect).id}</varequal>`;
+    return {
+        presentationXML: generateQTI12ChoicesXML('response1', data.choices, isMultiple ? 'Multiple' : 'Single', options.shuffleChoices),
+        resprocessingXML: generateCCResprocessingXML(generateCCChoiceFeedbackConditionsXML(data) + generateCCScoredConditionsXML(data, conditionXML))
+    };
+}
+
+function generateCCTrueFalseItem(data) {
+    const choices = [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }];
+    return {
+        presentationXML: generateQTI12ChoicesXML('response1', choices, 'Single'),
+        resprocessingXML: generateCCResprocessingXML(generateCCScoredConditionsXML(data,
+            `<varequal respident="response1">${data.correctAnswer ? 'true' : 'false'}</varequal>`))
+    };
+}
+
+function generateCCEssayItem(data) {
+    const feedbackXML = data.feedback?.correct ? `
+        <respcondition continue="No">
+          <conditionvar><other/></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>
+        </respcondition>` : '';
+    return {
+        presentationXML: `
+        <response_str ident="response1" rcardinality="Single">
+          <render_fib>
+            <response_label ident="answer1" rshuffle="No"/>
+          </render_fib>
+        </response_str>`,
+        resprocessingXML: generateCCResprocessingXML(feedbackXML)
+    };
+}
+
+// Fill in the Blank, and Numeric Response with an exact answer, as a short text response
+function generateCCFillInBlankItem(data, answers) {
+    const answersXML = answers.map(answer => `<varequal respident="response1" case="No">${escapeXML(answer)}</varequal>`).join('');
+    return {
+        presentationXML: `
+        <response_str ident="response1" rcardinality="Single">
+          <render_fib>
+            <response_label ident="answer1" rshuffle="No"/>
+          </render_fib>
+        </response_str>`,
+        resprocessingXML: generateCCResprocessingXML(generateCCScoredConditionsXML(data, `<or>${answersXML}</or>`))
+    };
+}
+
+/**
+ * Serializes one question as an item of the Common Cartridge QTI profile
+ * @param {Object} question - Question object from the parser layer
+ * @param {Object} options - Export settings ({ shuffleChoices })
+ * @returns {string} - The <item> element
+ */
+function generateCCItemXML(question, options = {}) {
+    let parts;
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            parts = generateCCChoiceItem(question, options);
+            break;
+        case QUESTION_TYPES.TF:
+            parts = generateCCTrueFalseItem(question);
+            break;
+        case QUESTION_TYPES.ESS:
+        case QUESTION_TYPES.FIL:
+            // The profile has no file upload response; File Response items become essays
+            parts = generateCCEssayItem(question);
+            break;
+        case QUESTION_TYPES.FIB:
+            parts = generateCCFillInBlankItem(question, question.answers);
+            break;
+        case QUESTION_TYPES.NUM:
+            if (question.tolerance && Number(question.tolerance) !== 0) {
+                throw new Error('the Common Cartridge quiz profile only accepts exact answers, not a tolerance or range');
+            }
+            parts = generateCCFillInBlankItem(question, [question.answer]);
+            break;
+        default:
+            throw new Error(CC_UNSUPPORTED[question.type] || `Unsupported question type for Common Cartridge: ${question.type}`);
+    }
+
+    return `
+    <item ident="${question.id}" title="${escapeXML(generateItemTitle(question))}">${generateCCMetadataXML(question)}
+      <presentation>
+        ${generateQTI12Material(question.stem)}${parts.presentationXML}
+      </presentation>${parts.resprocessingXML}${generateQTI12FeedbackXML(question)}
+    </item>`;
+}
+
+// ============================================================================
+// PACKAGE
+// ============================================================================
+
+/**
+ * Builds the cartridge's assessment document
+ * @param {Array<Object>} questions - Question objects
+ * @param {string} assessmentId - Assessment identifier
+ * @param {string} title - Quiz title
+ * @param {Object} options - Export settings
+ * @returns {Object} - { xml, skipped: [{ question, reason }] }
+ */
+function generateCCAssessmentXML(questions, assessmentId, title, options = {}) {
+    const skipped = [];
+    let itemsXML = '';
+    questions.forEach(question => {
+        try {
+            itemsXML += generateCCItemXML(question, options);
+        } catch (error) {
+            skipped.push({ question, reason: error.message });
+        }
+    });
+
+    return {
+        xml: `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="${CC_QTI_NAMESPACE}"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${CC_QTI_NAMESPACE} ${CC_QTI_SCHEMA_LOCATION}">
+  <assessment ident="${assessmentId}" title="${escapeXML(title)}">
+    <qtimetadata>
+      <qtimetadatafield><fieldlabel>cc_profile</fieldlabel><fieldentry>cc.exam.v0p1</fieldentry></qtimetadatafield>
+      <qtimetadatafield><fieldlabel>qmd_assessmenttype</fieldlabel><fieldentry>Examination</fieldentry></qtimetadatafield>
+      <qtimetadatafield><fieldlabel>cc_maxattempts</fieldlabel><fieldentry>1</fieldentry></qtimetadatafield>
+    </qtimetadata>
+    <section ident="root_section">${itemsXML}
+    </section>
+  </assessment>
+</questestinterop>`,
+        skipped
+    };
+}
+
+/**
+ * Builds the cartridge manifest with one learning module holding the quiz
+ * @param {string} assessmentId - Assessment identifier
+ * @param {string} filename - Path of the assessment document in the package
+ * @param {string} title - Quiz title
+ * @returns {string} - imsmanifest.xml content
+ */
+function generateCCManifestXML(assessmentId, filename, title) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CC_MANIFEST_NAMESPACE}"
+    xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${CC_MANIFEST_NAMESPACE} http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd"
+    identifier="manifest-${generateUUID()}">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.3.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title>
+          <lomimscc:string>${escapeXML(title)}</lomimscc:string>
+        </lomimscc:title>
+      </lomimscc:general>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="organization-${assessmentId}" structure="rooted-hierarchy">
+      <item identifier="root-${assessmentId}">
+        <item identifier="item-${assessmentId}" identifierref="resource-${assessmentId}">
+          <title>${escapeXML(title)}</title>
+        </item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="resource-${assessmentId}" type="${CC_ASSESSMENT_RESOURCE_TYPE}">
+      <file href="${filename}"/>
+    </resource>
+  </resources>
+</manifest>`;
+}
+
+// ============================================================================
+// MAIN DOWNLOAD FUNCTION
+// ============================================================================
+
+/**
+ * Builds a cartridge with one quiz holding the questions
+ * @param {Array<Object>} questions - Question objects, in output order
+ * @param {Object} settings - Export settings
+ * @returns {Object} - { zip, skipped } where skipped lists { question, reason }
+ */
+function createCommonCartridgePackage(questions, settings) {
+    const title = settings.poolName || 'Question Bank';
+    const assessmentId = generateUUID();
+    const filename = `${assessmentId}/assessment.xml`;
+    const { xml, skipped } = generateCCAssessmentXML(questions, assessmentId, title, settings);
+
+    const zip = new JSZip();
+    zip.file(filename, xml);
+    zip.file('imsmanifest.xml', generateCCManifestXML(assessmentId, filename, title));
+    return { zip, skipped };
+}
+
+async function downloadCommonCartridge() {
+    if (typeof JSZip === 'undefined') {
+        alert("JSZip library not loaded. Please refresh the page.");
+        return;
+    }
+
+    const settings = getExportSettings();
+    const { questions: tabQuestions } = parseAllTabs();
+    const questions = orderQuestions(tabQuestions, settings.order);
+    if (questions.length === 0) {
+        showNotification('No questions to export.', 'error');
+        return;
+    }
+
+    const { zip, skipped } = createCommonCartridgePackage(questions, settings);
+
+    if (skipped.length > 0) {
+        renderDiagnostics(describeExportNotes(skipped.map(({ question, reason }) => ({
+            question,
+            reason: `Not exported to Common Cartridge: ${reason}`
+        })), tabQuestions));
+    }
+    if (skipped.length === questions.length) {
+        showNotification('None of the questions can be exported to Common Cartridge.', 'error', 5000);
+        return;
+    }
+
+    const skippedNote = skipped.length > 0
+        ? ` ${skipped.length} of ${questions.length} questions were left out; see the diagnostics below.`
+        : '';
+    await saveZipPackage(zip, 'common_cartridge_export.imscc', `Common Cartridge downloaded successfully!${skippedNote}`);
+}
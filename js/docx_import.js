@@ -0,0 +1,325 @@
+/**
+ * Word Document Import Module
+ * Reads a .docx file locally with JSZip, turns its paragraphs and numbered/lettered
+ * lists into SEU-formatted text, classifies each question and fills the question tabs.
+ * Bold or highlighted options count as correct answers, just like a trailing "*".
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DOCX_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Letters used by Word's lettered list formats
+const DOCX_LIST_LETTERS = {
+    lowerLetter: 'abcdefghijklmnopqrstuvwxyz',
+    upperLetter: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    arabicAlpha: 'أبتثجحخدذرزسشصضطظعغفقكلمنهوي',
+    arabicAbjad: 'أبجدهوزحطيكلمنسعفصقرشتثخذضظغ'
+};
+
+// ============================================================================
+// XML HELPERS
+// ============================================================================
+
+/**
+ * Returns the direct WordprocessingML children of an element with the given local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local name without the "w:" prefix
+ * @returns {Array<Element>} - Matching child elements
+ */
+function getDocxChildren(element, name) {
+    return Array.from(element.childNodes).filter(node =>
+        node.nodeType === 1 && node.namespaceURI === DOCX_NAMESPACE && node.localName === name
+    );
+}
+
+/**
+ * Reads a "w:val" attribute
+ * @param {Element|undefined} element - Element carrying the attribute
+ * @returns {string|null} - Attribute value
+ */
+function getDocxValue(element) {
+    return element ? element.getAttributeNS(DOCX_NAMESPACE, 'val') : null;
+}
+
+/**
+ * Checks whether a run is bold or highlighted (the ways writers mark the correct option)
+ * @param {Element} run - A "w:r" element
+ * @returns {boolean} - True if the run is marked
+ */
+function isDocxRunMarked(run) {
+    const properties = getDocxChildren(run, 'rPr')[0];
+    if (!properties) return false;
+
+    const bold = getDocxChildren(properties, 'b')[0];
+    if (bold && !['0', 'false'].includes(getDocxValue(bold))) return true;
+
+    const highlight = getDocxChildren(properties, 'highlight')[0];
+    if (highlight && getDocxValue(highlight) !== 'none') return true;
+
+    const shading = getDocxChildren(properties, 'shd')[0];
+    const fill = shading ? (shading.getAttributeNS(DOCX_NAMESPACE, 'fill') || '').toLowerCase() : '';
+    return fill !== '' && fill !== 'auto' && fill !== 'ffffff';
+}
+
+// ============================================================================
+// DOCUMENT READING
+// ============================================================================
+
+/**
+ * Reads list level formats from word/numbering.xml
+ * @param {Document|null} numberingXML - Parsed numbering part (absent when the document has no lists)
+ * @returns {Object} - numId -> { ilvl -> { format, start } }
+ */
+function readDocxNumbering(numberingXML) {
+    const numbering = {};
+    if (!numberingXML) return numbering;
+
+    const root = numberingXML.documentElement;
+    const abstractFormats = {};
+    getDocxChildren(root, 'abstractNum').forEach(abstractNum => {
+        const levels = {};
+        getDocxChildren(abstractNum, 'lvl').forEach(level => {
+            levels[level.getAttributeNS(DOCX_NAMESPACE, 'ilvl')] = {
+                format: getDocxValue(getDocxChildren(level, 'numFmt')[0]) || 'decimal',
+                start: parseInt(getDocxValue(getDocxChildren(level, 'start')[0]), 10) || 1
+            };
+        });
+        abstractFormats[abstractNum.getAttributeNS(DOCX_NAMESPACE, 'abstractNumId')] = levels;
+    });
+
+    getDocxChildren(root, 'num').forEach(num => {
+        const abstractId = getDocxValue(getDocxChildren(num, 'abstractNumId')[0]);
+        numbering[num.getAttributeNS(DOCX_NAMESPACE, 'numId')] = abstractFormats[abstractId] || {};
+    });
+
+    return numbering;
+}
+
+/**
+ * Extracts the text, list position and answer marking of every body paragraph
+ * @param {Document} documentXML - Parsed word/document.xml
+ * @param {Object} numbering - Result of readDocxNumbering
+ * @returns {Array<Object>} - [{ text, marked, list: { format, level, index } | null }]
+ */
+function extractDocxParagraphs(documentXML, numbering) {
+    const paragraphs = [];
+    const counters = {};
+
+    Array.from(documentXML.getElementsByTagNameNS(DOCX_NAMESPACE, 'p')).forEach(paragraph => {
+        let text = '';
+        let hasText = false;
+        let allMarked = true;
+
+        Array.from(paragraph.getElementsByTagNameNS(DOCX_NAMESPACE, 'r')).forEach(run => {
+            let runText = '';
+            Array.from(run.childNodes).forEach(node => {
+                if (node.localName === 't') runText += node.textContent;
+                else if (node.localName === 'tab') runText += '\t';
+                else if (node.localName === 'br') runText += ' ';
+            });
+            if (runText.trim() !== '') {
+                hasText = true;
+                allMarked = allMarked && isDocxRunMarked(run);
+            }
+            text += runText;
+        });
+
+        // List numbering lives in the paragraph properties
+        let list = null;
+        const properties = getDocxChildren(paragraph, 'pPr')[0];
+        const numPr = properties ? getDocxChildren(properties, 'numPr')[0] : null;
+        if (numPr) {
+            const numId = getDocxValue(getDocxChildren(numPr, 'numId')[0]);
+            const level = parseInt(getDocxValue(getDocxChildren(numPr, 'ilvl')[0]), 10) || 0;
+            const levelFormat = (numbering[numId] || {})[level] || { format: 'decimal', start: 1 };
+
+            // Deeper levels restart whenever a shallower level advances
+            counters[numId] = counters[numId] || {};
+            counters[numId][level] = counters[numId][level] === undefined ? levelFormat.start : counters[numId][level] + 1;
+            Object.keys(counters[numId]).forEach(deeper => {
+                if (Number(deeper) > level) delete counters[numId][deeper];
+            });
+
+            list = { format: levelFormat.format, level, index: counters[numId][level] };
+        }
+
+        paragraphs.push({ text: text.trim(), marked: hasText && allMarked, list });
+    });
+
+    return paragraphs;
+}
+
+/**
+ * Formats a lettered list position ("a", "b", "أ", ...)
+ * @param {string} format - Word numFmt value
+ * @param {number} index - 1-based list position
+ * @returns {string} - The letter
+ */
+function formatDocxListLetter(format, index) {
+    const letters = DOCX_LIST_LETTERS[format] || DOCX_LIST_LETTERS.lowerLetter;
+    return letters[(index - 1) % letters.length];
+}
+
+/**
+ * Turns extracted paragraphs into SEU-formatted question text
+ * Top-level numbered items become "1." questions, other list items become lettered options,
+ * and marked option lines get a trailing "*"
+ * @param {Array<Object>} paragraphs - Result of extractDocxParagraphs
+ * @returns {string} - SEU-formatted text
+ */
+function docxParagraphsToText(paragraphs) {
+    const lines = [];
+
+    paragraphs.forEach(({ text, marked, list }) => {
+        if (text === '') {
+            lines.push('');
+            return;
+        }
+
+        let line = text;
+        if (list && list.level === 0 && list.format === 'decimal') {
+            line = `${list.index}. ${text}`;
+        } else if (list && !['bullet', 'none'].includes(list.format)) {
+            line = `${formatDocxListLetter(list.format, list.index)}. ${text}`;
+        }
+
+        const isQuestion = QUESTION_PATTERNS.NUMBERED.test(line);
+        if (isQuestion && lines.length > 0 && lines[lines.length - 1] !== '') {
+            lines.push('');
+        }
+        if (!isQuestion && marked && !line.includes('*')) {
+            line += '*';
+        }
+        lines.push(line);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Reads a .docx file and converts it to SEU-formatted text
+ * @param {File|Blob} file - The Word document
+ * @returns {Promise<string>} - SEU-formatted text
+ */
+async function readDocxAsText(file) {
+    const zip = await JSZip.loadAsync(file);
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+        throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+
+    const parser = new DOMParser();
+    const documentXML = parser.parseFromString(await documentFile.async('string'), 'application/xml');
+    const numberingFile = zip.file('word/numbering.xml');
+    const numberingXML = numberingFile
+        ? parser.parseFromString(await numberingFile.async('string'), 'application/xml')
+        : null;
+
+    return docxParagraphsToText(extractDocxParagraphs(documentXML, readDocxNumbering(numberingXML)));
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Classifies SEU-formatted questions and appends each one to its tab's textarea
+ * Questions whose type cannot be told go to the Mixed tab, which asks for a type tag
+ * @param {string} text - SEU-formatted text with one or more questions
+ * @returns {Object} - Number of questions added per tab key
+ */
+function distributeQuestionsToTabs(text) {
+    const grouped = {};
+    splitQuestionBlocks(text).forEach(block => {
+        // Text before the first numbered question (titles, instructions) is not a question
+        if (!QUESTION_PATTERNS.NUMBERED.test(block.text)) return;
+
+        const tabKey = classifyQuestionBlock(block.text) || 'mixed';
+        (grouped[tabKey] = grouped[tabKey] || []).push(block.text);
+    });
+
+    return appendQuestionsToTabs(grouped);
+}
+
+/**
+ * Appends SEU-formatted question blocks to the end of their tabs' textareas
+ * @param {Object} grouped - Question blocks keyed by tab key
+ * @returns {Object} - Number of questions added per tab key
+ */
+function appendQuestionsToTabs(grouped) {
+    const counts = {};
+    Object.entries(grouped).forEach(([tabKey, blocks]) => {
+        const textarea = document.getElementById(`${tabKey}Text`);
+        if (!textarea) return;
+
+        const existing = textarea.value.trim();
+        textarea.value = [existing, ...blocks].filter(part => part !== '').join('\n\n');
+        updateQuestionCounter(tabKey);
+        counts[tabKey] = blocks.length;
+    });
+
+    updateTotalQuestions();
+    lintAllTabs();
+    scheduleAutosave();
+    return counts;
+}
+
+/**
+ * Finds the number the next imported question should get in each tab
+ * so imports continue the numbering of questions already there
+ * @returns {Object} - Next question number keyed by tab key
+ */
+function getNextQuestionNumbers() {
+    const numbers = {};
+    QUESTION_TABS.forEach(({ key }) => {
+        const textarea = document.getElementById(`${key}Text`);
+        numbers[key] = countQuestions(textarea ? textarea.value : '', key === 'essay' ? 'essay' : 'default') + 1;
+    });
+    return numbers;
+}
+
+/**
+ * Describes how many questions an import added to each tab
+ * @param {Object} counts - Result of appendQuestionsToTabs
+ * @returns {string} - e.g. "3 MCQ, 1 Essay"
+ */
+function describeImportCounts(counts) {
+    return Object.entries(counts)
+        .map(([tabKey, count]) => `${count} ${getQuestionTab(tabKey).label}`)
+        .join(', ');
+}
+
+/**
+ * Imports the .docx file chosen in the file input
+ * @param {Event} event - Change event of the file input
+ */
+async function importDocx(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const text = await readDocxAsText(file);
+        const counts = distributeQuestionsToTabs(text);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        if (total === 0) {
+            showNotification(`No numbered questions found in ${file.name}.`, 'error', 5000);
+            return;
+        }
+
+        const untyped = counts.mixed
+            ? ` The type of ${counts.mixed} question(s) could not be told; add a type tag such as [FIB] to each in the Mixed tab.`
+            : '';
+        showNotification(`Imported ${total} questions from ${file.name}: ${describeImportCounts(counts)}. Please review each tab.${untyped}`, 'success', 6000);
+    } catch (error) {
+        showNotification(`Import failed: ${error.message}`, 'error', 5000);
+        console.error('Import error:', error);
+    } finally {
+        // Allow importing the same file again
+        input.value = '';
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * Draft Storage Module
+ * Keeps the question tabs in IndexedDB so a refresh does not lose work:
+ * a debounced autosave of every tab, named drafts, a restore prompt on load
+ * and an undo for Clear All that is still offered after a reload. Nothing leaves the browser.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DRAFT_DB_NAME = 'bbconverter';
+const DRAFT_DB_VERSION = 1;
+const DRAFT_STORE = 'drafts';
+
+const AUTOSAVE_DEBOUNCE_MS = 1000;
+
+// Reserved draft names; named drafts never start with "__"
+const AUTOSAVE_DRAFT_NAME = '__autosave__';
+const CLEARED_DRAFT_NAME = '__cleared__';
+
+let draftDatabasePromise = null;
+let autosaveTimer = null;
+
+// Draft offered by the restore banner: { draft, mode: 'restore' | 'undo' }
+let pendingRestore = null;
+
+// ============================================================================
+// INDEXEDDB ACCESS
+// ============================================================================
+
+/**
+ * Opens (and on first use creates) the drafts database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDraftDatabase() {
+    if (!draftDatabasePromise) {
+        draftDatabasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DRAFT_DB_NAME, DRAFT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(DRAFT_STORE, { keyPath: 'name' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return draftDatabasePromise;
+}
+
+/**
+ * Runs one request against the drafts store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - The request result
+ */
+async function runDraftRequest(mode, operation) {
+    const database = await openDraftDatabase();
+    return new Promise((resolve, reject) => {
+        const request = operation(database.transaction(DRAFT_STORE, mode).objectStore(DRAFT_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Saves tab contents under a draft name, replacing any draft with that name
+ * @param {string} name - Draft name
+ * @param {Object} tabs - Textarea contents keyed by tab key
+ * @returns {Promise<Object>} - The saved draft { name, savedAt, tabs }
+ */
+async function saveDraft(name, tabs) {
+    const draft = { name, savedAt: new Date().toISOString(), tabs };
+    await runDraftRequest('readwrite', store => store.put(draft));
+    return draft;
+}
+
+/**
+ * Reads a draft by name
+ * @param {string} name - Draft name
+ * @returns {Promise<Object|undefined>} - The draft, if it exists
+ */
+function getDraft(name) {
+    return runDraftRequest('readonly', store => store.get(name));
+}
+
+/**
+ * Deletes a draft by name
+ * @param {string} name - Draft name
+ * @returns {Promise<void>}
+ */
+function deleteDraft(name) {
+    return runDraftRequest('readwrite', store => store.delete(name));
+}
+
+/**
+ * Lists the user's named drafts, newest first
+ * @returns {Promise<Array<Object>>} - Drafts without the reserved autosave/undo entries
+ */
+async function listDrafts() {
+    const drafts = await runDraftRequest('readonly', store => store.getAll());
+    return drafts
+        .filter(draft => !draft.name.startsWith('__'))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// ============================================================================
+// TAB CONTENTS
+// ============================================================================
+
+/**
+ * Reads the content of every question textarea
+ * @returns {Object} - Textarea contents keyed by tab key
+ */
+function collectTabContents() {
+    const tabs = {};
+    QUESTION_TABS.forEach(({ key }) => {
+        tabs[key] = document.getElementById(`${key}Text`)?.value || '';
+    });
+    return tabs;
+}
+
+/**
+ * Checks whether any tab has content
+ * @param {Object} tabs - Textarea contents keyed by tab key
+ * @returns {boolean} - True if at least one tab is not blank
+ */
+function hasTabContent(tabs) {
+    return Object.values(tabs || {}).some(text => text.trim() !== '');
+}
+
+/**
+ * Replaces the question textareas with a draft's contents and refreshes counters and linting
+ * @param {Object} draft - Draft from storage
+ */
+function applyDraft(draft) {
+    QUESTION_TABS.forEach(({ key }) => {
+        const textarea = document.getElementById(`${key}Text`);
+        if (textarea) {
+            textarea.value = draft.tabs[key] || '';
+            updateQuestionCounter(key);
+        }
+    });
+    updateTotalQuestions();
+    lintAllTabs();
+    scheduleAutosave();
+}
+
+// ============================================================================
+// AUTOSAVE
+// ============================================================================
+
+/**
+ * Debounces saving every tab to the autosave draft
+ */
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        saveDraft(AUTOSAVE_DRAFT_NAME, collectTabContents()).catch(error => {
+            console.error('Autosave failed:', error);
+        });
+    }, AUTOSAVE_DEBOUNCE_MS);
+}
+
+/**
+ * Keeps a copy of the tabs before Clear All and offers to undo it
+ * @param {Object} tabs - Textarea contents before clearing
+ */
+function offerUndoClear(tabs) {
+    if (!hasTabContent(tabs)) return;
+
+    const draft = { name: CLEARED_DRAFT_NAME, savedAt: new Date().toISOString(), tabs };
+    showRestoreBanner(draft, 'undo');
+    saveDraft(CLEARED_DRAFT_NAME, tabs).catch(error => {
+        console.error('Could not keep a copy of the cleared questions:', error);
+    });
+}
+
+// ============================================================================
+// RESTORE BANNER
+// ============================================================================
+
+/**
+ * Shows the banner offering to restore a previous session or undo Clear All
+ * @param {Object} draft - Draft to restore
+ * @param {string} mode - 'restore' or 'undo'
+ */
+function showRestoreBanner(draft, mode) {
+    const banner = document.getElementById('restoreBanner');
+    const message = document.getElementById('restoreMessage');
+    const button = document.getElementById('restoreButton');
+    if (!banner || !message || !button) return;
+
+    const translate = key => (window.t ? window.t(key) : key);
+    pendingRestore = { draft, mode };
+    message.textContent = mode === 'undo'
+        ? translate('undoClearPrompt')
+        : `${translate('restorePrompt')} (${new Date(draft.savedAt).toLocaleString()})`;
+    button.textContent = translate(mode === 'undo' ? 'undoClear' : 'restoreSession');
+    banner.hidden = false;
+}
+
+/**
+ * Hides the restore banner without restoring
+ */
+function dismissRestoreBanner() {
+    const banner = document.getElementById('restoreBanner');
+    if (banner) banner.hidden = true;
+    pendingRestore = null;
+}
+
+/**
+ * Restores the draft offered by the banner
+ */
+function restorePendingDraft() {
+    if (!pendingRestore) return;
+
+    const { draft, mode } = pendingRestore;
+    applyDraft(draft);
+    dismissRestoreBanner();
+    if (mode === 'undo') {
+        deleteDraft(CLEARED_DRAFT_NAME).catch(error => {
+            console.error('Could not remove the copy of the cleared questions:', error);
+        });
+    }
+    showNotification(mode === 'undo' ? 'Cleared questions restored.' : 'Previous session restored.', 'success');
+}
+
+// ============================================================================
+// NAMED DRAFTS
+// ============================================================================
+
+/**
+ * Refills the drafts dropdown from storage
+ * @param {string} selectedName - Draft to select after refreshing (optional)
+ */
+async function refreshDraftList(selectedName = '') {
+    const select = document.getElementById('draftSelect');
+    if (!select) return;
+
+    const drafts = await listDrafts();
+    select.innerHTML = '';
+    drafts.forEach(draft => {
+        const option = document.createElement('option');
+        option.value = draft.name;
+        option.textContent = `${draft.name} (${new Date(draft.savedAt).toLocaleString()})`;
+        option.selected = draft.name === selectedName;
+        select.appendChild(option);
+    });
+    select.disabled = drafts.length === 0;
+}
+
+/**
+ * Saves the current tabs as a named draft
+ */
+async function saveNamedDraft() {
+    const input = document.getElementById('draftName');
+    const name = input?.value.trim();
+
+    if (!name) {
+        showNotification('Please enter a name for the draft.', 'error');
+        return;
+    }
+    if (name.startsWith('__')) {
+        showNotification('Draft names cannot start with "__".', 'error');
+        return;
+    }
+
+    try {
+        await saveDraft(name, collectTabContents());
+        input.value = '';
+        await refreshDraftList(name);
+        showNotification(`Draft "${name}" saved.`, 'success');
+    } catch (error) {
+        showNotification(`Could not save the draft: ${error.message}`, 'error', 5000);
+        console.error('Draft save error:', error);
+    }
+}
+
+/**
+ * Replaces the tabs with the draft selected in the dropdown
+ * The current tabs can be brought back with the undo banner
+ */
+async function openSelectedDraft() {
+    const name = document.getElementById('draftSelect')?.value;
+    if (!name) return;
+
+    try {
+        const draft = await getDraft(name);
+        if (!draft) {
+            showNotification(`Draft "${name}" no longer exists.`, 'error');
+            await refreshDraftList();
+            return;
+        }
+        const current = collectTabContents();
+        applyDraft(draft);
+        offerUndoClear(current);
+        showNotification(`Draft "${name}" opened.`, 'success');
+    } catch (error) {
+        showNotification(`Could not open the draft: ${error.message}`, 'error', 5000);
+        console.error('Draft open error:', error);
+    }
+}
+
+/**
+ * Deletes the draft selected in the dropdown
+ */
+async function deleteSelectedDraft() {
+    const name = document.getElementById('draftSelect')?.value;
+    if (!name || !confirm(`Delete the draft "${name}"?`)) return;
+
+    try {
+        await deleteDraft(name);
+        await refreshDraftList();
+        showNotification(`Draft "${name}" deleted.`, 'info');
+    } catch (error) {
+        showNotification(`Could not delete the draft: ${error.message}`, 'error', 5000);
+        console.error('Draft delete error:', error);
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Starts autosaving, fills the drafts dropdown and offers to restore the last session
+ */
+async function initializeDrafts() {
+    QUESTION_TABS.forEach(({ key }) => {
+        document.getElementById(`${key}Text`)?.addEventListener('input', scheduleAutosave);
+    });
+
+    try {
+        await refreshDraftList();
+
+        // Only offer the last session when the page starts empty
+        const autosave = await getDraft(AUTOSAVE_DRAFT_NAME);
+        const cleared = await getDraft(CLEARED_DRAFT_NAME);
+        if (!hasTabContent(collectTabContents())) {
+            if (autosave && hasTabContent(autosave.tabs)) {
+                showRestoreBanner(autosave, 'restore');
+            } else if (cleared && hasTabContent(cleared.tabs)) {
+                // The session ended on a Clear All (its autosave is empty); it can still be undone
+                showRestoreBanner(cleared, 'undo');
+            }
+        }
+    } catch (error) {
+        // Drafts are a convenience; the converter works without them
+        const panel = document.getElementById('draftsPanel');
+        if (panel) panel.hidden = true;
+        console.error('Drafts are unavailable:', error);
+    }
+}
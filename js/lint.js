@@ -0,0 +1,186 @@
+/**
+ * Live Linting Module
+ * Lints every question tab while the user types, using the same parser layer
+ * as the converters (js/question_parser.js). Problem lines get gutter markers
+ * and each tab shows an error/warning badge next to its question counter.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LINT_DEBOUNCE_MS = 300;
+
+// Pending debounce timers, keyed by tab key
+const lintTimers = {};
+
+// Latest lint result per tab key: { errors, warnings }
+const lintResults = {};
+
+// ============================================================================
+// EDITOR SETUP
+// ============================================================================
+
+/**
+ * Wraps a question textarea in an editor with a backdrop that mirrors its lines
+ * The backdrop sits behind the transparent textarea and carries the gutter markers
+ * @param {Object} tab - Entry from QUESTION_TABS
+ */
+function createLintEditor(tab) {
+    const textarea = document.getElementById(`${tab.key}Text`);
+    if (!textarea || textarea.parentElement.classList.contains('lint-editor')) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'lint-editor';
+    const backdrop = document.createElement('div');
+    backdrop.className = 'lint-backdrop';
+    backdrop.id = `${tab.key}LintBackdrop`;
+    backdrop.setAttribute('aria-hidden', 'true');
+
+    textarea.parentElement.insertBefore(editor, textarea);
+    editor.appendChild(backdrop);
+    editor.appendChild(textarea);
+
+    textarea.addEventListener('input', () => scheduleLint(tab.key));
+    textarea.addEventListener('scroll', () => {
+        backdrop.scrollTop = textarea.scrollTop;
+    });
+
+    // Badge next to the tab's question counter
+    const counter = document.getElementById(`${tab.key}Counter`);
+    const counterLine = counter?.closest('p');
+    if (counterLine) {
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'lint-badge';
+        badge.id = `${tab.key}LintBadge`;
+        badge.hidden = true;
+        badge.addEventListener('click', () => {
+            const result = lintResults[tab.key];
+            if (result) {
+                renderDiagnostics([...result.errors, ...result.warnings]);
+            }
+        });
+        counterLine.appendChild(badge);
+    }
+}
+
+// ============================================================================
+// LINTING
+// ============================================================================
+
+/**
+ * Debounces linting of one tab while the user is typing
+ * @param {string} tabKey - Tab key ('mcq', 'essay', ...)
+ */
+function scheduleLint(tabKey) {
+    clearTimeout(lintTimers[tabKey]);
+    lintTimers[tabKey] = setTimeout(() => lintQuestionTab(tabKey), LINT_DEBOUNCE_MS);
+}
+
+/**
+ * Lints one tab and refreshes its gutter markers and badge
+ * @param {string} tabKey - Tab key ('mcq', 'essay', ...)
+ * @returns {Object|null} - { errors, warnings } diagnostics for the tab
+ */
+function lintQuestionTab(tabKey) {
+    const tab = getQuestionTab(tabKey);
+    const textarea = document.getElementById(`${tabKey}Text`);
+    if (!tab || !textarea) return null;
+
+    const { errors, warnings } = parseQuestionTab(tab, textarea.value);
+    lintResults[tabKey] = { errors, warnings };
+
+    renderLintGutter(tabKey, textarea.value, [...errors, ...warnings]);
+    renderLintBadge(tabKey, errors.length, warnings.length);
+
+    return lintResults[tabKey];
+}
+
+/**
+ * Lints every question tab (e.g. after fields are cleared or filled programmatically)
+ */
+function lintAllTabs() {
+    QUESTION_TABS.forEach(({ key }) => {
+        clearTimeout(lintTimers[key]);
+        lintQuestionTab(key);
+    });
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Mirrors the textarea lines in the backdrop, marking lines with diagnostics
+ * Errors win over warnings when both cover a line
+ * @param {string} tabKey - Tab key
+ * @param {string} text - Current textarea content
+ * @param {Array<Object>} diagnostics - Diagnostics with startLine/endLine
+ */
+function renderLintGutter(tabKey, text, diagnostics) {
+    const backdrop = document.getElementById(`${tabKey}LintBackdrop`);
+    if (!backdrop) return;
+
+    const marks = {};
+    diagnostics.forEach(diagnostic => {
+        for (let line = diagnostic.startLine; line <= diagnostic.endLine; line++) {
+            if (marks[line] !== 'error') {
+                marks[line] = diagnostic.severity;
+            }
+        }
+    });
+
+    backdrop.innerHTML = '';
+    text.split('\n').forEach((line, index) => {
+        const lineNumber = index + 1;
+        const row = document.createElement('div');
+        row.className = 'lint-line';
+        if (marks[lineNumber]) {
+            row.classList.add(`lint-${marks[lineNumber]}`);
+            // The first marked line of a question gets the gutter marker
+            if (marks[lineNumber - 1] !== marks[lineNumber]) {
+                row.classList.add('lint-marker');
+            }
+        }
+        // Zero-width space keeps empty lines at full height
+        row.textContent = line || '\u200b';
+        backdrop.appendChild(row);
+    });
+
+    const textarea = document.getElementById(`${tabKey}Text`);
+    if (textarea) {
+        backdrop.scrollTop = textarea.scrollTop;
+    }
+}
+
+/**
+ * Updates the error/warning badge next to a tab's question counter
+ * @param {string} tabKey - Tab key
+ * @param {number} errorCount - Number of errors
+ * @param {number} warningCount - Number of warnings
+ */
+function renderLintBadge(tabKey, errorCount, warningCount) {
+    const badge = document.getElementById(`${tabKey}LintBadge`);
+    if (!badge) return;
+
+    const translate = key => (window.t ? window.t(key) : key);
+    const parts = [];
+    if (errorCount > 0) parts.push(`${errorCount} ${translate('lintErrors')}`);
+    if (warningCount > 0) parts.push(`${warningCount} ${translate('lintWarnings')}`);
+
+    badge.hidden = parts.length === 0;
+    badge.textContent = parts.join(' · ');
+    badge.className = `lint-badge ${errorCount > 0 ? 'error' : 'warning'}`;
+    badge.title = translate('lintBadgeHint');
+}
+
+/**
+ * Sets up live linting for every question tab
+ */
+function initializeLinting() {
+    QUESTION_TABS.forEach(tab => {
+        createLintEditor(tab);
+        lintQuestionTab(tab.key);
+    });
+}
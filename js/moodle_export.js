@@ -0,0 +1,517 @@
+/**
+ * Moodle Export Module
+ * Serializes parsed question objects (js/question_parser.js) as Moodle XML or GIFT,
+ * from the same questions used for the Blackboard TXT output. Each SEU [Module N]
+ * tag (or each pool, when the export settings split by outcome or difficulty) becomes
+ * a question bank category; learning outcomes and difficulty become tags.
+ * Question types with no Moodle equivalent are left out and listed in the diagnostics.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Top-level question bank category when the pool has no name
+const MOODLE_DEFAULT_CATEGORY = 'Question Bank';
+
+// Moodle's default penalty for each wrong try in adaptive mode
+const MOODLE_PENALTY = '0.3333333';
+
+// Types skipped by each format, with the reason shown in the diagnostics
+const MOODLE_XML_UNSUPPORTED = {
+    [QUESTION_TYPES.ORD]: 'Moodle has no core ordering question type',
+    [QUESTION_TYPES.OP]: 'Moodle quizzes have no opinion scale question type'
+};
+
+const GIFT_UNSUPPORTED = {
+    [QUESTION_TYPES.FIB_PLUS]: 'GIFT cannot express several blanks; use the Moodle XML export instead',
+    [QUESTION_TYPES.JUMBLED_SENTENCE]: 'GIFT has no drop-down gap question; use the Moodle XML export instead',
+    [QUESTION_TYPES.ORD]: 'Moodle has no core ordering question type',
+    [QUESTION_TYPES.OP]: 'Moodle quizzes have no opinion scale question type'
+};
+
+// Characters with a meaning in GIFT answers and in Cloze (multianswer) sub-questions
+const GIFT_SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+const CLOZE_SPECIAL_CHARACTERS = /[~=#{}\/"\\]/g;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Groups questions into one category per pool, keeping their order within each
+ * Pools follow the export settings' pool grouping, by SEU module when it has none;
+ * untagged questions go in the pool's own category
+ * @param {Array<Object>} questions - Question objects
+ * @param {string} poolName - Pool name from the export settings
+ * @param {string} grouping - One of POOL_GROUPINGS
+ * @returns {Array<Object>} - [{ category, questions }] in pool order
+ */
+function groupQuestionsByCategory(questions, poolName, grouping = POOL_GROUPINGS.NONE) {
+    // "/" separates category levels; Moodle reads "//" as a literal slash
+    const escapeCategory = name => name.replace(/\//g, '//');
+    const base = `$course$/${escapeCategory(poolName || MOODLE_DEFAULT_CATEGORY)}`;
+    const pools = groupQuestionsIntoPools(questions, grouping === POOL_GROUPINGS.NONE ? POOL_GROUPINGS.MODULE : grouping);
+
+    return pools.map(pool => ({
+        category: pool.key === null ? base : `${base}/${escapeCategory(pool.label)}`,
+        questions: pool.questions
+    }));
+}
+
+/**
+ * Lists a question's learning outcomes and difficulty as Moodle tags
+ * @param {Object} question - Question object
+ * @returns {Array<string>} - Tag names
+ */
+function getMoodleTags(question) {
+    const metadata = question.metadata || {};
+    const tags = [...(metadata.learningOutcomes || [])];
+    if (metadata.difficulty) tags.push(`Difficulty: ${metadata.difficulty}`);
+    return tags;
+}
+
+/**
+ * Percentage of the grade for one of several correct (or wrong) choices
+ * @param {number} count - Number of choices sharing the grade
+ * @returns {string} - Fraction rounded the way Moodle stores it (e.g. "33.33333")
+ */
+function formatMoodleFraction(count) {
+    return String(Number((100 / count).toFixed(5)));
+}
+
+/**
+ * Escapes an answer for a Cloze sub-question ("{1:SHORTANSWER:=...}")
+ * @param {string} text - Answer text
+ * @returns {string} - Escaped text
+ */
+function escapeCloze(text) {
+    return text.replace(CLOZE_SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Escapes text for GIFT; blank lines would end the question, so they are collapsed
+ * @param {string} text - Question or answer text
+ * @returns {string} - Escaped text
+ */
+function escapeGIFT(text) {
+    return (text || '').replace(GIFT_SPECIAL_CHARACTERS, '\\$&').replace(/\n\s*\n/g, '\n');
+}
+
+/**
+ * Percentage of the grade for a Multiple Answer choice
+ * Same partial credit as the QTI export: each right pick adds one share, each wrong pick takes one away
+ * @param {Object} question - MA question object
+ * @param {Object} choice - One of its choices
+ * @returns {string} - Signed fraction
+ */
+function getMultipleAnswerFraction(question, choice) {
+    const share = formatMoodleFraction(question.choices.filter(c => c.isCorrect).length);
+    return choice.isCorrect ? share : `-${share}`;
+}
+
+// ============================================================================
+// MOODLE XML
+// ============================================================================
+
+function generateMoodleText(element, text, attributes = ' format="plain_text"') {
+    return `<${element}${attributes}><text>${escapeXML(text || '')}</text></${element}>`;
+}
+
+// Correct / partially correct / incorrect feedback used by the multi-part types
+// A partially correct response is not a correct one, so it gets the Feedback- text
+function generateMoodleCombinedFeedbackXML(data) {
+    return `
+    ${generateMoodleText('correctfeedback', data.feedback?.correct)}
+    ${generateMoodleText('partiallycorrectfeedback', data.feedback?.incorrect)}
+    ${generateMoodleText('incorrectfeedback', data.feedback?.incorrect)}`;
+}
+
+function generateMoodleAnswerXML(fraction, text, feedback, extraXML = '') {
+    return `
+    <answer fraction="${fraction}" format="plain_text">
+      <text>${escapeXML(text)}</text>${extraXML}
+      ${generateMoodleText('feedback', feedback)}
+    </answer>`;
+}
+
+function generateMoodleChoiceXML(data, options) {
+    const single = data.type === QUESTION_TYPES.MC;
+
+    const answersXML = data.choices.map(choice => {
+        const fraction = single ? (choice.isCorrect ? '100' : '0') : getMultipleAnswerFraction(data, choice);
+        const feedback = choice.feedback || (choice.isCorrect ? data.feedback?.correct : data.feedback?.incorrect);
+        return generateMoodleAnswerXML(fraction, choice.text, feedback);
+    }).join('');
+
+    return {
+        type: 'multichoice',
+        bodyXML: `
+    <single>${single}</single>
+    <shuffleanswers>${Boolean(options.shuffleChoices)}</shuffleanswers>
+    <answernumbering>abc</answernumbering>${generateMoodleCombinedFeedbackXML(data)}${answersXML}`
+    };
+}
+
+function generateMoodleTrueFalseXML(data) {
+    const answerXML = value => generateMoodleAnswerXML(
+        data.correctAnswer === value ? '100' : '0',
+        String(value),
+        data.correctAnswer === value ? data.feedback?.correct : data.feedback?.incorrect
+    );
+    return { type: 'truefalse', bodyXML: answerXML(true) + answerXML(false) };
+}
+
+function generateMoodleEssayXML(data) {
+    // File Response questions are essays that require an attached file instead of text
+    const fileResponse = data.type === QUESTION_TYPES.FIL;
+    return {
+        type: 'essay',
+        bodyXML: `
+    <responseformat>${fileResponse ? 'noinline' : 'editor'}</responseformat>
+    <responserequired>${fileResponse ? 0 : 1}</responserequired>
+    <responsefieldlines>15</responsefieldlines>
+    <attachments>${fileResponse ? 1 : 0}</attachments>
+    <attachmentsrequired>${fileResponse ? 1 : 0}</attachmentsrequired>
+    ${generateMoodleText('graderinfo', '')}
+    ${generateMoodleText('responsetemplate', '')}`
+    };
+}
+
+// Answer matching anything else, so the incorrect feedback has somewhere to go
+function generateMoodleCatchAllXML(data, extraXML = '') {
+    return data.feedback?.incorrect ? generateMoodleAnswerXML('0', '*', data.feedback.incorrect, extraXML) : '';
+}
+
+function generateMoodleShortAnswerXML(data) {
+    const answersXML = data.answers.map(answer => generateMoodleAnswerXML('100', answer, data.feedback?.correct)).join('');
+    return {
+        type: 'shortanswer',
+        bodyXML: `
+    <usecase>0</usecase>${answersXML}${generateMoodleCatchAllXML(data)}`
+    };
+}
+
+function generateMoodleMatchingXML(data) {
+    const subquestionXML = (left, right) => `
+    <subquestion format="plain_text">
+      <text>${escapeXML(left)}</text>
+      <answer><text>${escapeXML(right)}</text></answer>
+    </subquestion>`;
+
+    // Sub-questions with no text only add their answer to the drop-downs
+    const pairsXML = data.pairs.map(pair => subquestionXML(pair.left, pair.right)).join('');
+    const distractorsXML = (data.distractors || []).map(distractor => subquestionXML('', distractor)).join('');
+    return {
+        type: 'matching',
+        bodyXML: `
+    <shuffleanswers>true</shuffleanswers>${generateMoodleCombinedFeedbackXML(data)}${pairsXML}${distractorsXML}`
+    };
+}
+
+function generateMoodleNumericalXML(data) {
+    const toleranceXML = tolerance => `
+      <tolerance>${tolerance || 0}</tolerance>`;
+    return {
+        type: 'numerical',
+        bodyXML: generateMoodleAnswerXML('100', data.answer, data.feedback?.correct, toleranceXML(data.tolerance))
+            + generateMoodleCatchAllXML(data, toleranceXML(0))
+    };
+}
+
+// Fill in Multiple Blanks becomes a Cloze question with one short-answer gap per blank
+function generateMoodleClozeXML(data) {
+    const questionText = data.stem.replace(BLANK_VARIABLE_PATTERN, (match, variable) => {
+        const blank = data.blanks.find(b => b.variable === variable);
+        return blank ? `{1:SHORTANSWER:${blank.answers.map(answer => `=${escapeCloze(answer)}`).join('~')}}` : match;
+    });
+    return { type: 'multianswer', questionText, bodyXML: '' };
+}
+
+// Jumbled Sentence becomes a drop-down gap question; every word is a choice for every gap
+function generateMoodleGapSelectXML(data) {
+    const words = [...data.blanks.map(blank => blank.answer), ...(data.distractors || [])];
+    const questionText = data.stem.replace(BLANK_VARIABLE_PATTERN, (match, variable) => {
+        const index = data.blanks.findIndex(blank => blank.variable === variable);
+        return index === -1 ? match : `[[${index + 1}]]`;
+    });
+    const optionsXML = words.map(word => `
+    <selectoption>
+      <text>${escapeXML(word)}</text>
+      <group>1</group>
+    </selectoption>`).join('');
+    return {
+        type: 'gapselect',
+        questionText,
+        bodyXML: `
+    <shuffleanswers>1</shuffleanswers>${generateMoodleCombinedFeedbackXML(data)}${optionsXML}`
+    };
+}
+
+/**
+ * Serializes one question as a Moodle XML <question> element
+ * @param {Object} question - Question object from the parser layer
+ * @param {Object} options - Export settings ({ shuffleChoices })
+ * @returns {string} - The <question> element
+ */
+function generateMoodleQuestionXML(question, options = {}) {
+    let parts;
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            parts = generateMoodleChoiceXML(question, options);
+            break;
+        case QUESTION_TYPES.TF:
+            parts = generateMoodleTrueFalseXML(question);
+            break;
+        case QUESTION_TYPES.ESS:
+        case QUESTION_TYPES.FIL:
+            parts = generateMoodleEssayXML(question);
+            break;
+        case QUESTION_TYPES.FIB:
+            parts = generateMoodleShortAnswerXML(question);
+            break;
+        case QUESTION_TYPES.FIB_PLUS:
+            parts = generateMoodleClozeXML(question);
+            break;
+        case QUESTION_TYPES.MAT:
+            parts = generateMoodleMatchingXML(question);
+            break;
+        case QUESTION_TYPES.JUMBLED_SENTENCE:
+            parts = generateMoodleGapSelectXML(question);
+            break;
+        case QUESTION_TYPES.NUM:
+            parts = generateMoodleNumericalXML(question);
+            break;
+        default:
+            throw new Error(MOODLE_XML_UNSUPPORTED[question.type] || `Unsupported question type for Moodle XML: ${question.type}`);
+    }
+
+    // Essays show the (correct) feedback to everyone once graded
+    const generalFeedback = parts.type === 'essay' ? question.feedback?.correct : '';
+    const tags = getMoodleTags(question);
+    const tagsXML = tags.length > 0 ? `
+    <tags>${tags.map(tag => `
+      <tag><text>${escapeXML(tag)}</text></tag>`).join('')}
+    </tags>` : '';
+
+    return `
+  <question type="${parts.type}">
+    <name><text>${escapeXML(generateItemTitle(question))}</text></name>
+    ${generateMoodleText('questiontext', parts.questionText ?? question.stem)}
+    ${generateMoodleText('generalfeedback', generalFeedback)}
+    <defaultgrade>${getItemPoints(question)}</defaultgrade>
+    <penalty>${MOODLE_PENALTY}</penalty>
+    <hidden>0</hidden>${parts.bodyXML}${tagsXML}
+  </question>`;
+}
+
+/**
+ * Builds a Moodle XML quiz document with a category per SEU module or pool
+ * @param {Array<Object>} questions - Question objects
+ * @param {Object} options - Export settings ({ poolName, poolGrouping, shuffleChoices })
+ * @returns {Object} - { xml, skipped: [{ question, reason }] }
+ */
+function generateMoodleXML(questions, options = {}) {
+    const skipped = [];
+    let questionsXML = '';
+
+    groupQuestionsByCategory(questions, options.poolName, options.poolGrouping).forEach(group => {
+        questionsXML += `
+  <question type="category">
+    <category><text>${escapeXML(group.category)}</text></category>
+  </question>`;
+        group.questions.forEach(question => {
+            try {
+                questionsXML += generateMoodleQuestionXML(question, options);
+            } catch (error) {
+                skipped.push({ question, reason: error.message });
+            }
+        });
+    });
+
+    return {
+        xml: `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>${questionsXML}
+</quiz>
+`,
+        skipped
+    };
+}
+
+// ============================================================================
+// GIFT
+// ============================================================================
+
+/**
+ * Builds the answer block of one GIFT question
+ * GIFT has no incorrect-answer feedback outside choices and True/False,
+ * so elsewhere only the Feedback+ text is kept, as general feedback
+ * @param {Object} question - Question object
+ * @returns {string} - The text between "{" and "}"
+ */
+function generateGIFTAnswers(question) {
+    const correct = question.feedback?.correct;
+    const incorrect = question.feedback?.incorrect;
+    const feedback = text => (text ? `#${escapeGIFT(text)}` : '');
+    const generalFeedback = correct ? `\n\t####${escapeGIFT(correct)}` : '';
+
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+            return question.choices.map(choice => `\n\t${choice.isCorrect ? '=' : '~'}${escapeGIFT(choice.text)}${feedback(choice.feedback || (choice.isCorrect ? correct : incorrect))}`).join('') + '\n';
+        case QUESTION_TYPES.MA:
+            return question.choices.map(choice => `\n\t~%${getMultipleAnswerFraction(question, choice)}%${escapeGIFT(choice.text)}${feedback(choice.feedback || (choice.isCorrect ? correct : incorrect))}`).join('') + '\n';
+        case QUESTION_TYPES.TF:
+            // The first feedback is shown for a wrong answer, the second for a right one
+            return `${question.correctAnswer ? 'TRUE' : 'FALSE'}${incorrect || correct ? `${feedback(incorrect) || '#'}${feedback(correct)}` : ''}`;
+        case QUESTION_TYPES.ESS:
+        case QUESTION_TYPES.FIL:
+            return correct ? `####${escapeGIFT(correct)}` : '';
+        case QUESTION_TYPES.FIB:
+            return `${question.answers.map(answer => `=${escapeGIFT(answer)}`).join(' ')}${generalFeedback}`;
+        case QUESTION_TYPES.MAT:
+            return question.pairs.map(pair => `\n\t=${escapeGIFT(pair.left)} -> ${escapeGIFT(pair.right)}`).join('') + `${generalFeedback}\n`;
+        case QUESTION_TYPES.NUM:
+            return `#${question.answer}${question.tolerance ? `:${question.tolerance}` : ''}${generalFeedback}`;
+        default:
+            throw new Error(GIFT_UNSUPPORTED[question.type] || `Unsupported question type for GIFT: ${question.type}`);
+    }
+}
+
+/**
+ * Lists what a GIFT question loses compared to the parsed question
+ * @param {Object} question - Question object
+ * @returns {Array<string>} - Notes for the diagnostics
+ */
+function getGIFTLosses(question) {
+    const losses = [];
+    if (question.feedback?.incorrect && [QUESTION_TYPES.FIB, QUESTION_TYPES.MAT, QUESTION_TYPES.NUM].includes(question.type)) {
+        losses.push('GIFT has no incorrect-answer feedback for this type; the Feedback- text was left out');
+    }
+    if (question.type === QUESTION_TYPES.MAT && (question.distractors || []).length > 0) {
+        losses.push('GIFT matching questions cannot have distractors; they were left out');
+    }
+    return losses;
+}
+
+/**
+ * Serializes one question as GIFT text
+ * The blank in a Fill in the Blank stem ("____") is where the answers go
+ * @param {Object} question - Question object from the parser layer
+ * @returns {string} - The GIFT question, without the trailing blank line
+ */
+function generateGIFTQuestion(question) {
+    const answers = `{${generateGIFTAnswers(question)}}`;
+    const tags = getMoodleTags(question).map(tag => `// [tag:${tag.replace(/[\[\]]/g, '')}]\n`).join('');
+    const title = `::${escapeGIFT(generateItemTitle(question))}::`;
+    const stem = escapeGIFT(question.stem);
+
+    let body;
+    if (question.type === QUESTION_TYPES.FIB && /_{3,}/.test(stem)) {
+        body = stem.replace(/_{3,}/, answers);
+    } else {
+        body = `${stem} ${answers}`;
+    }
+    return `${tags}${title}${body}`;
+}
+
+/**
+ * Builds a GIFT file with a $CATEGORY line per SEU module or pool
+ * @param {Array<Object>} questions - Question objects
+ * @param {Object} options - Export settings ({ poolName, poolGrouping })
+ * @returns {Object} - { text, skipped: [{ question, reason }], losses: [{ question, reason }] }
+ */
+function generateGIFT(questions, options = {}) {
+    const skipped = [];
+    const losses = [];
+    const sections = [];
+
+    groupQuestionsByCategory(questions, options.poolName, options.poolGrouping).forEach(group => {
+        const blocks = [`$CATEGORY: ${group.category}`];
+        group.questions.forEach(question => {
+            try {
+                blocks.push(generateGIFTQuestion(question));
+                getGIFTLosses(question).forEach(reason => losses.push({ question, reason }));
+            } catch (error) {
+                skipped.push({ question, reason: error.message });
+            }
+        });
+        if (blocks.length > 1) sections.push(blocks.join('\n\n'));
+    });
+
+    return { text: `${sections.join('\n\n')}\n`, skipped, losses };
+}
+
+// ============================================================================
+// MAIN DOWNLOAD FUNCTIONS
+// ============================================================================
+
+/**
+ * Shows what an export left out or simplified and reports the result
+ * @param {Array<Object>} questions - Every parsed question
+ * @param {Array<Object>} skipped - [{ question, reason }] left out entirely
+ * @param {Array<Object>} losses - [{ question, reason }] exported without something
+ * @param {string} formatName - Name of the export format
+ * @returns {boolean} - False when no question could be exported
+ */
+function reportMoodleExport(questions, skipped, losses, formatName) {
+    const notes = [
+        ...skipped.map(({ question, reason }) => ({ question, reason: `Not exported to ${formatName}: ${reason}` })),
+        ...losses
+    ];
+    if (notes.length > 0) renderDiagnostics(describeExportNotes(notes, questions));
+
+    const exported = questions.length - skipped.length;
+    if (exported === 0) {
+        showNotification(`None of the questions can be exported to ${formatName}.`, 'error', 5000);
+    } else if (skipped.length > 0) {
+        showNotification(`${formatName} downloaded with ${exported} of ${questions.length} questions; see the diagnostics below for the rest.`, 'error', 6000);
+    } else {
+        showNotification(`${formatName} file downloaded successfully!`, 'success');
+    }
+    return exported > 0;
+}
+
+function downloadMoodleXML() {
+    const settings = getExportSettings();
+    const { questions: tabQuestions } = parseAllTabs();
+    const questions = orderQuestions(tabQuestions, settings.order);
+    if (questions.length === 0) {
+        showNotification('No questions to export.', 'error');
+        return;
+    }
+
+    const { xml, skipped } = generateMoodleXML(questions, settings);
+    if (skipped.length < questions.length) {
+        try {
+            saveTextFile(xml, 'moodle_questions.xml', 'application/xml;charset=utf-8');
+        } catch (error) {
+            showNotification(`Download failed: ${error.message}`, 'error', 5000);
+            console.error('Moodle XML export error:', error);
+            return;
+        }
+    }
+    reportMoodleExport(tabQuestions, skipped, [], 'Moodle XML');
+}
+
+function downloadGIFT() {
+    const settings = getExportSettings();
+    const { questions: tabQuestions } = parseAllTabs();
+    const questions = orderQuestions(tabQuestions, settings.order);
+    if (questions.length === 0) {
+        showNotification('No questions to export.', 'error');
+        return;
+    }
+
+    const { text, skipped, losses } = generateGIFT(questions, settings);
+    if (skipped.length < questions.length) {
+        try {
+            saveTextFile(text, 'moodle_questions.gift.txt', 'text/plain;charset=utf-8');
+        } catch (error) {
+            showNotification(`Download failed: ${error.message}`, 'error', 5000);
+            console.error('GIFT export error:', error);
+            return;
+        }
+    }
+    reportMoodleExport(tabQuestions, skipped, losses, 'GIFT');
+}
@@ -0,0 +1,190 @@
+/**
+ * Project File Module
+ * Saves the whole exam (tab contents, parsed questions, settings) as one .bbconv.json
+ * file and opens it again. Older project files are migrated step by step to the
+ * current format version before they are applied.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PROJECT_FORMAT = 'bbconv-project';
+const PROJECT_FORMAT_VERSION = 1;
+const PROJECT_FILE_EXTENSION = '.bbconv.json';
+
+/**
+ * Upgrades a project from version N to N + 1, keyed by N
+ * When a change needs more than missing tabs filled in (see normalizeProject),
+ * bump PROJECT_FORMAT_VERSION and add a step here
+ */
+const PROJECT_MIGRATIONS = {};
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Builds a project document from the current editor state
+ * Tab text is the source of truth; parsed questions are included for other tools
+ * and are re-parsed from the tabs when the project is opened
+ * @returns {Object} - Project document
+ */
+function createProject() {
+    const { questions, errors, warnings } = parseAllTabs();
+    const settings = getExportSettings();
+    const defaultPoints = {};
+    QUESTION_TABS.forEach(({ key }) => {
+        if (document.getElementById(`${key}DefaultPoints`)) {
+            defaultPoints[key] = getTabDefaultPoints(key);
+        }
+    });
+
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_FORMAT_VERSION,
+        metadata: {
+            title: settings.poolName,
+            savedAt: new Date().toISOString(),
+            language: currentLang,
+            questionCount: questions.length,
+            errorCount: errors.length,
+            warningCount: warnings.length
+        },
+        settings: { ...settings, defaultPoints },
+        tabs: collectTabContents(),
+        questions
+    };
+}
+
+/**
+ * Upgrades a parsed project file to the current format version
+ * @param {Object} project - Parsed JSON from a project file
+ * @returns {Object} - Project in the current format
+ */
+function migrateProject(project) {
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a converter project file');
+    }
+
+    const version = Number(project.version) || 1;
+    if (version > PROJECT_FORMAT_VERSION) {
+        throw new Error(`The project was saved by a newer version of the converter (format ${version})`);
+    }
+
+    let migrated = { ...project, version };
+    for (let step = version; step < PROJECT_FORMAT_VERSION; step++) {
+        migrated = { ...PROJECT_MIGRATIONS[step](migrated), version: step + 1 };
+    }
+    return normalizeProject(migrated);
+}
+
+/**
+ * Fills in anything an older project file may lack
+ * Tabs added after the file was saved start empty
+ * @param {Object} project - Project in the current format version
+ * @returns {Object} - Project with every tab and setting present
+ */
+function normalizeProject(project) {
+    const savedTabs = project.tabs || {};
+    const tabs = {};
+    QUESTION_TABS.forEach(({ key }) => {
+        tabs[key] = typeof savedTabs[key] === 'string' ? savedTabs[key] : '';
+    });
+
+    const settings = project.settings || {};
+    return {
+        ...project,
+        tabs,
+        settings: {
+            poolName: settings.poolName || '',
+            shuffleChoices: Boolean(settings.shuffleChoices),
+            order: settings.order || QUESTION_ORDERS.TYPE,
+            poolGrouping: settings.poolGrouping || POOL_GROUPINGS.NONE,
+            batchSize: normalizeBatchSize(settings.batchSize),
+            batchPackages: Boolean(settings.batchPackages),
+            format: settings.format || 'qti21',
+            courseOutcomes: settings.courseOutcomes || '',
+            defaultPoints: settings.defaultPoints || {}
+        },
+        // Tab keys this version does not know (e.g. saved by a newer build)
+        unknownTabs: Object.keys(savedTabs).filter(key => !getQuestionTab(key) && String(savedTabs[key]).trim() !== '')
+    };
+}
+
+// ============================================================================
+// SAVE / OPEN
+// ============================================================================
+
+/**
+ * Downloads the current exam as a .bbconv.json project file
+ */
+function saveProject() {
+    const project = createProject();
+    if (!hasTabContent(project.tabs)) {
+        showNotification('No questions to save.', 'error');
+        return;
+    }
+
+    try {
+        const baseName = (project.settings.poolName || 'exam')
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .replace(/\s+/g, '_') || 'exam';
+        saveTextFile(JSON.stringify(project, null, 2), `${baseName}${PROJECT_FILE_EXTENSION}`, 'application/json;charset=utf-8');
+
+        showNotification('Project saved.', 'success');
+    } catch (error) {
+        showNotification(`Could not save the project: ${error.message}`, 'error', 5000);
+        console.error('Project save error:', error);
+    }
+}
+
+/**
+ * Replaces the editor state with a migrated project
+ * The previous tabs can be brought back with the undo banner
+ * @param {Object} project - Result of migrateProject
+ */
+function applyProject(project) {
+    const previousTabs = collectTabContents();
+
+    applyExportSettings(project.settings);
+    saveExportSettings();
+    Object.entries(project.settings.defaultPoints).forEach(([tabKey, points]) => {
+        const input = document.getElementById(`${tabKey}DefaultPoints`);
+        if (input) {
+            input.value = points;
+            saveDefaultPoints(tabKey);
+        }
+    });
+
+    applyDraft({ tabs: project.tabs });
+    offerUndoClear(previousTabs);
+}
+
+/**
+ * Opens the project file chosen in the file input
+ * @param {Event} event - Change event of the file input
+ */
+async function openProject(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const project = migrateProject(JSON.parse(await file.text()));
+        applyProject(project);
+
+        if (project.unknownTabs.length > 0) {
+            showNotification(`Opened ${file.name}, but skipped question types this version does not support: ${project.unknownTabs.join(', ')}.`, 'error', 6000);
+        } else {
+            showNotification(`Opened ${file.name}.`, 'success');
+        }
+    } catch (error) {
+        const message = error instanceof SyntaxError ? 'the file is not valid JSON' : error.message;
+        showNotification(`Could not open the project: ${message}`, 'error', 5000);
+        console.error('Project open error:', error);
+    } finally {
+        // Allow opening the same file again
+        input.value = '';
+    }
+}
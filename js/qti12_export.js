@@ -0,0 +1,493 @@
+/**
+ * QTI 1.2 Export Module
+ * Serializes parsed question objects (js/question_parser.js) into a QTI 1.2
+ * questestinterop package for Blackboard Learn Original and other legacy LMSs.
+ * Scores use the item's point value; partial credit matches the QTI 2.1 export.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// qmd_itemtype values from the QTI 1.2 metadata vocabulary, by question type
+const QTI12_ITEM_TYPES = {
+    MC: 'Multiple-choice',
+    MA: 'Multiple-response',
+    TF: 'True/false',
+    ESS: 'Essay',
+    MAT: 'Matching',
+    FIB: 'Fill-in-the-blank',
+    FIB_PLUS: 'Fill-in-the-blank',
+    ORD: 'Ordering',
+    JUMBLED_SENTENCE: 'Multiple-dropdown',
+    OP: 'Likert',
+    FIL: 'Essay',
+    NUM: 'Numerical'
+};
+
+// LOM difficulty names used by qmd_levelofdifficulty
+const QTI12_DIFFICULTY = { Low: 'easy', Mid: 'medium', High: 'difficult' };
+
+// ============================================================================
+// ITEM PARTS
+// ============================================================================
+
+function generateQTI12Material(text) {
+    return `<material><mattext texttype="text/plain">${escapeXML(text)}</mattext></material>`;
+}
+
+function generateQTI12MetadataXML(data) {
+    const metadata = data.metadata || {};
+    const fields = [['qmd_itemtype', QTI12_ITEM_TYPES[data.type]]];
+    if (data.type !== QUESTION_TYPES.OP) fields.push(['qmd_weighting', getItemPoints(data)]);
+    if (QTI12_DIFFICULTY[metadata.difficulty]) fields.push(['qmd_levelofdifficulty', QTI12_DIFFICULTY[metadata.difficulty]]);
+    if (metadata.module !== null && metadata.module !== undefined) fields.push(['qmd_topic', `Module ${metadata.module}`]);
+    (metadata.learningOutcomes || []).forEach(code => fields.push(['qmd_objectives', code]));
+
+    let fieldsXML = '';
+    fields.forEach(([label, entry]) => {
+        fieldsXML += `
+          <qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXML(String(entry))}</fieldentry></qtimetadatafield>`;
+    });
+    return `
+      <itemmetadata>
+        <qtimetadata>${fieldsXML}
+        </qtimetadata>
+      </itemmetadata>`;
+}
+
+// Item-level and per-choice feedback blocks referenced by displayfeedback
+function generateQTI12FeedbackXML(data) {
+    let xml = '';
+    if (data.feedback?.correct) {
+        xml += `
+      <itemfeedback ident="${CORRECT_FEEDBACK_ID}"><flow_mat>${generateQTI12Material(data.feedback.correct)}</flow_mat></itemfeedback>`;
+    }
+    if (data.feedback?.incorrect) {
+        xml += `
+      <itemfeedback ident="${INCORRECT_FEEDBACK_ID}"><flow_mat>${generateQTI12Material(data.feedback.incorrect)}</flow_mat></itemfeedback>`;
+    }
+    (data.choices || []).forEach(choice => {
+        if (choice.feedback) {
+            xml += `
+      <itemfeedback ident="${choice.id}_fb"><flow_mat>${generateQTI12Material(choice.feedback)}</flow_mat></itemfeedback>`;
+        }
+    });
+    return xml;
+}
+
+// Full-credit condition: sets SCORE to the item's points and shows the correct feedback
+function generateQTI12CorrectConditionXML(data, conditionXML) {
+    return `
+        <respcondition continue="No">
+          <conditionvar>${conditionXML}</conditionvar>
+          <setvar action="Set" varname="SCORE">${getItemPoints(data)}</setvar>${data.feedback?.correct ? `
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>` : ''}
+        </respcondition>`;
+}
+
+// Fallback condition for any other response: shows the incorrect feedback
+function generateQTI12OtherConditionXML(data) {
+    if (!data.feedback?.incorrect) return '';
+    return `
+        <respcondition continue="No">
+          <conditionvar><other/></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${INCORRECT_FEEDBACK_ID}"/>
+        </respcondition>`;
+}
+
+function generateQTI12ResprocessingXML(data, conditionsXML) {
+    return `
+      <resprocessing>
+        <outcomes>
+          <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${getItemPoints(data)}"/>
+        </outcomes>${conditionsXML}
+      </resprocessing>`;
+}
+
+// Manually graded items only show their (correct) feedback once answered
+function generateQTI12ManualResprocessingXML(data) {
+    const feedbackXML = data.feedback?.correct ? `
+        <respcondition continue="No">
+          <conditionvar><other/></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>
+        </respcondition>` : '';
+    return generateQTI12ResprocessingXML(data, feedbackXML);
+}
+
+function generateQTI12ChoicesXML(responseId, choices, cardinality, shuffle = false) {
+    let labelsXML = '';
+    choices.forEach(choice => {
+        labelsXML += `
+            <response_label ident="${choice.id}">${generateQTI12Material(choice.text)}</response_label>`;
+    });
+    return `
+        <response_lid ident="${responseId}" rcardinality="${cardinality}">
+          <render_choice shuffle="${shuffle ? 'Yes' : 'No'}">${labelsXML}
+          </render_choice>
+        </response_lid>`;
+}
+
+// ============================================================================
+// ITEM GENERATORS
+// ============================================================================
+
+function generateQTI12ChoiceItem(data, options) {
+    const isMultiple = data.type === QUESTION_TYPES.MA;
+    const correct = data.choices.filter(choice => choice.isCorrect);
+    const presentationXML = generateQTI12ChoicesXML('response1', data.choices, isMultiple ? 'Multiple' : 'Single', options.shuffleChoices);
+
+    // Per-choice rationales are shown whenever the choice is selected
+    let conditionsXML = '';
+    data.choices.filter(choice => choice.feedback).forEach(choice => {
+        conditionsXML += `
+        <respcondition continue="Yes">
+          <conditionvar><varequal respident="response1">${choice.id}</varequal></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${choice.id}_fb"/>
+        </respcondition>`;
+    });
+
+    if (isMultiple) {
+        // Each correct choice earns an equal share; each incorrect choice takes one away (SCORE floors at 0)
+        const share = formatNumericValue(Number(getItemPoints(data)) / correct.length);
+        const exactXML = data.choices.map(choice => choice.isCorrect
+            ? `<varequal respident="response1">${choice.id}</varequal>`
+            : `<not><varequal respident="response1">${choice.id}</varequal></not>`).join('');
+        conditionsXML += generateQTI12CorrectConditionXML(data, `<and>${exactXML}</and>`);
+        data.choices.forEach(choice => {
+            conditionsXML += `
+        <respcondition continue="Yes">
+          <conditionvar><varequal respident="response1">${choice.id}</varequal></conditionvar>
+          <setvar action="${choice.isCorrect ? 'Add' : 'Subtract'}" varname="SCORE">${share}</setvar>
+        </respcondition>`;
+        });
+    } else {
+        conditionsXML += generateQTI12CorrectConditionXML(data, `<varequal respident="response1">${correct[0].id}</varequal>`);
+    }
+    conditionsXML += generateQTI12OtherConditionXML(data);
+
+    return { presentationXML, resprocessingXML: generateQTI12ResprocessingXML(data, conditionsXML) };
+}
+
+function generateQTI12TrueFalseItem(data) {
+    const choices = [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }];
+    return {
+        presentationXML: generateQTI12ChoicesXML('response1', choices, 'Single'),
+        resprocessingXML: generateQTI12ResprocessingXML(data,
+            generateQTI12CorrectConditionXML(data, `<varequal respident="response1">${data.correctAnswer ? 'true' : 'false'}</varequal>`) +
+            generateQTI12OtherConditionXML(data))
+    };
+}
+
+function generateQTI12EssayItem(data) {
+    return {
+        presentationXML: `
+        <response_str ident="response1" rcardinality="Single">
+          <render_fib fibtype="String" prompt="Box" rows="15" columns="80"/>
+        </response_str>`,
+        resprocessingXML: generateQTI12ManualResprocessingXML(data)
+    };
+}
+
+function generateQTI12FillInBlankItem(data) {
+    const answersXML = data.answers.map(answer => `<varequal respident="response1" case="No">${escapeXML(answer)}</varequal>`).join('');
+    return {
+        presentationXML: `
+        <response_str ident="response1" rcardinality="Single">
+          <render_fib fibtype="String" prompt="Box"/>
+        </response_str>`,
+        resprocessingXML: generateQTI12ResprocessingXML(data,
+            generateQTI12CorrectConditionXML(data, `<or>${answersXML}</or>`) + generateQTI12OtherConditionXML(data))
+    };
+}
+
+// Stem text with a response in place of each [variable], as one presentation flow
+function generateQTI12InlineFlow(stem, blanks, renderResponse) {
+    let flowXML = '';
+    let rest = stem;
+    blanks.forEach((blank, i) => {
+        const marker = `[${blank.variable}]`;
+        const at = rest.indexOf(marker);
+        if (at === -1) return;
+        if (at > 0) flowXML += `
+        ${generateQTI12Material(rest.slice(0, at))}`;
+        flowXML += renderResponse(blank, `response${i + 1}`);
+        rest = rest.slice(at + marker.length);
+    });
+    if (rest) flowXML += `
+        ${generateQTI12Material(rest)}`;
+    return flowXML;
+}
+
+function generateQTI12FillInMultipleBlanksItem(data) {
+    // Each blank earns an equal share of the points
+    const share = formatNumericValue(Number(getItemPoints(data)) / data.blanks.length);
+    const flowXML = generateQTI12InlineFlow(data.stem, data.blanks, (blank, responseId) => `
+        <response_str ident="${responseId}" rcardinality="Single">
+          <render_fib fibtype="String" prompt="Box"/>
+        </response_str>`);
+
+    const allXML = [];
+    let conditionsXML = '';
+    data.blanks.forEach((blank, i) => {
+        const answersXML = `<or>${blank.answers.map(answer => `<varequal respident="response${i + 1}" case="No">${escapeXML(answer)}</varequal>`).join('')}</or>`;
+        allXML.push(answersXML);
+        conditionsXML += `
+        <respcondition continue="Yes">
+          <conditionvar>${answersXML}</conditionvar>
+          <setvar action="Add" varname="SCORE">${share}</setvar>
+        </respcondition>`;
+    });
+    if (hasItemFeedback(data)) {
+        conditionsXML += generateQTI12FeedbackConditionXML(data, `<and>${allXML.join('')}</and>`);
+    }
+
+    return { presentationXML: flowXML, resprocessingXML: generateQTI12ResprocessingXML(data, conditionsXML), inlineStem: true };
+}
+
+// Feedback only (the score was already added up by partial-credit conditions)
+function generateQTI12FeedbackConditionXML(data, conditionXML) {
+    let xml = '';
+    if (data.feedback?.correct) {
+        xml += `
+        <respcondition continue="No">
+          <conditionvar>${conditionXML}</conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>
+        </respcondition>`;
+    }
+    return xml + generateQTI12OtherConditionXML(data);
+}
+
+function generateQTI12MatchingItem(data) {
+    // One dropdown per prompt listing every answer (distractors included)
+    const targets = [
+        ...data.pairs.map((pair, i) => ({ id: `R${i}`, text: pair.right })),
+        ...(data.distractors || []).map((text, i) => ({ id: `R${data.pairs.length + i}`, text }))
+    ];
+    const share = formatNumericValue(Number(getItemPoints(data)) / data.pairs.length);
+
+    let presentationXML = '';
+    let conditionsXML = '';
+    const allXML = [];
+    data.pairs.forEach((pair, i) => {
+        let labelsXML = '';
+        targets.forEach(target => {
+            labelsXML += `
+            <response_label ident="${target.id}">${generateQTI12Material(target.text)}</response_label>`;
+        });
+        presentationXML += `
+        <response_lid ident="L${i}" rcardinality="Single">
+          ${generateQTI12Material(pair.left)}
+          <render_choice shuffle="No">${labelsXML}
+          </render_choice>
+        </response_lid>`;
+        allXML.push(`<varequal respident="L${i}">R${i}</varequal>`);
+        conditionsXML += `
+        <respcondition continue="Yes">
+          <conditionvar><varequal respident="L${i}">R${i}</varequal></conditionvar>
+          <setvar action="Add" varname="SCORE">${share}</setvar>
+        </respcondition>`;
+    });
+    if (hasItemFeedback(data)) {
+        conditionsXML += generateQTI12FeedbackConditionXML(data, `<and>${allXML.join('')}</and>`);
+    }
+
+    return { presentationXML, resprocessingXML: generateQTI12ResprocessingXML(data, conditionsXML) };
+}
+
+function generateQTI12OrderingItem(data) {
+    const items = data.items.map((item, i) => ({ id: `CHOICE_${i + 1}`, text: item.text }));
+    const orderXML = items.map((item, i) => `<varequal respident="response1" index="${i + 1}">${item.id}</varequal>`).join('');
+    return {
+        presentationXML: generateQTI12ChoicesXML('response1', items, 'Ordered', true),
+        resprocessingXML: generateQTI12ResprocessingXML(data,
+            generateQTI12CorrectConditionXML(data, `<and>${orderXML}</and>`) + generateQTI12OtherConditionXML(data))
+    };
+}
+
+function generateQTI12JumbledSentenceItem(data) {
+    // QTI 1.2 has no gap match; each gap becomes a dropdown over the whole word bank
+    const words = [...new Set([...data.blanks.map(blank => blank.answer), ...data.distractors])]
+        .map((text, i) => ({ id: `WORD_${i + 1}`, text }));
+    const wordId = text => words.find(word => word.text === text).id;
+    const flowXML = generateQTI12InlineFlow(data.stem, data.blanks, (blank, responseId) =>
+        generateQTI12ChoicesXML(responseId, words, 'Single', true));
+    const allXML = data.blanks.map((blank, i) => `<varequal respident="response${i + 1}">${wordId(blank.answer)}</varequal>`).join('');
+
+    return {
+        presentationXML: flowXML,
+        resprocessingXML: generateQTI12ResprocessingXML(data,
+            generateQTI12CorrectConditionXML(data, `<and>${allXML}</and>`) + generateQTI12OtherConditionXML(data)),
+        inlineStem: true
+    };
+}
+
+function generateQTI12OpinionScaleItem(data) {
+    const scale = data.scale.map((point, i) => ({ id: `SCALE_${i + 1}`, text: point.text }));
+    return {
+        presentationXML: generateQTI12ChoicesXML('response1', scale, 'Single'),
+        resprocessingXML: data.feedback?.correct ? `
+      <resprocessing>
+        <outcomes>
+          <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="0"/>
+        </outcomes>
+        <respcondition continue="No">
+          <conditionvar><other/></conditionvar>
+          <displayfeedback feedbacktype="Response" linkrefid="${CORRECT_FEEDBACK_ID}"/>
+        </respcondition>
+      </resprocessing>` : ''
+    };
+}
+
+function generateQTI12NumericItem(data) {
+    const conditionXML = data.range
+        ? `<and><vargte respident="response1">${data.range.min}</vargte><varlte respident="response1">${data.range.max}</varlte></and>`
+        : `<varequal respident="response1">${escapeXML(data.answer)}</varequal>`;
+    return {
+        presentationXML: `
+        <response_num ident="response1" rcardinality="Single" numtype="Decimal">
+          <render_fib fibtype="Decimal" prompt="Box"/>
+        </response_num>`,
+        resprocessingXML: generateQTI12ResprocessingXML(data,
+            generateQTI12CorrectConditionXML(data, conditionXML) + generateQTI12OtherConditionXML(data))
+    };
+}
+
+/**
+ * Serializes one question as a QTI 1.2 item element
+ * @param {Object} question - Question object from the parser layer
+ * @param {Object} options - Export settings ({ shuffleChoices })
+ * @returns {string} - The <item> element
+ */
+function generateQTI12ItemXML(question, options = {}) {
+    let parts;
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            parts = generateQTI12ChoiceItem(question, options);
+            break;
+        case QUESTION_TYPES.TF:
+            parts = generateQTI12TrueFalseItem(question);
+            break;
+        case QUESTION_TYPES.ESS:
+        case QUESTION_TYPES.FIL:
+            // QTI 1.2 has no file upload response; File Response items become essays
+            parts = generateQTI12EssayItem(question);
+            break;
+        case QUESTION_TYPES.FIB:
+            parts = generateQTI12FillInBlankItem(question);
+            break;
+        case QUESTION_TYPES.FIB_PLUS:
+            parts = generateQTI12FillInMultipleBlanksItem(question);
+            break;
+        case QUESTION_TYPES.MAT:
+            parts = generateQTI12MatchingItem(question);
+            break;
+        case QUESTION_TYPES.ORD:
+            parts = generateQTI12OrderingItem(question);
+            break;
+        case QUESTION_TYPES.JUMBLED_SENTENCE:
+            parts = generateQTI12JumbledSentenceItem(question);
+            break;
+        case QUESTION_TYPES.OP:
+            parts = generateQTI12OpinionScaleItem(question);
+            break;
+        case QUESTION_TYPES.NUM:
+            parts = generateQTI12NumericItem(question);
+            break;
+        default:
+            throw new Error(`Unsupported question type for QTI 1.2: ${question.type}`);
+    }
+
+    const stemXML = parts.inlineStem ? '' : `
+        ${generateQTI12Material(question.stem)}`;
+    return `
+    <item ident="${question.id}" title="${escapeXML(generateItemTitle(question))}">${generateQTI12MetadataXML(question)}
+      <presentation>
+        <flow>${stemXML}${parts.presentationXML}
+        </flow>
+      </presentation>${parts.resprocessingXML}${generateQTI12FeedbackXML(question)}
+    </item>`;
+}
+
+/**
+ * Wraps items in a questestinterop document with one section, or one per pool
+ * when options.poolGrouping splits the questions into pools
+ * @param {Array<Object>} questions - Question objects
+ * @param {string} assessmentId - Assessment identifier
+ * @param {string} title - Assessment (pool) title
+ * @param {Object} options - Export settings
+ * @returns {string} - QTI 1.2 XML document
+ */
+function generateQTI12AssessmentXML(questions, assessmentId, title = 'Question Bank', options = {}) {
+    const pools = groupQuestionsIntoPools(questions, options.poolGrouping);
+    const sectionsXML = pools.map((pool, index) => {
+        const itemsXML = pool.questions.map(question => generateQTI12ItemXML(question, options)).join('');
+        const sectionId = pools.length === 1 ? `section_${assessmentId}` : `section_${assessmentId}_${index + 1}`;
+        return `
+    <section ident="${sectionId}" title="${escapeXML(pool.label || 'Section 1')}">${itemsXML}
+    </section>`;
+    }).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/ims_qtiasiv1p2 http://www.imsglobal.org/xsd/ims_qtiasiv1p2p1.xsd">
+  <assessment ident="${assessmentId}" title="${escapeXML(title)}">${sectionsXML}
+  </assessment>
+</questestinterop>`;
+}
+
+function generateQTI12ManifestXML(assessmentId, filename) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd"
+    identifier="manifest-${generateUUID()}">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="resource-${assessmentId}" type="imsqti_xmlv1p2" href="${filename}">
+      <file href="${filename}"/>
+    </resource>
+  </resources>
+</manifest>`;
+}
+
+// ============================================================================
+// MAIN DOWNLOAD FUNCTION
+// ============================================================================
+
+/**
+ * Builds a QTI 1.2 package with the assessment file and its manifest
+ * @param {Array<Object>} questions - Question objects, in output order
+ * @param {Object} settings - Export settings
+ * @returns {JSZip} - Package contents
+ */
+function createQTI12Package(questions, settings) {
+    const assessmentId = generateUUID();
+    const filename = `qti12/question_bank_${assessmentId}.xml`;
+
+    const zip = new JSZip();
+    zip.file(filename, generateQTI12AssessmentXML(questions, assessmentId, settings.poolName || undefined, settings));
+    zip.file('imsmanifest.xml', generateQTI12ManifestXML(assessmentId, filename));
+    return zip;
+}
+
+async function downloadQTI12() {
+    if (typeof JSZip === 'undefined') {
+        alert("JSZip library not loaded. Please refresh the page.");
+        return;
+    }
+
+    const settings = getExportSettings();
+    const questions = orderQuestions(parseAllTabs().questions, settings.order);
+    if (questions.length === 0) {
+        showNotification('No questions to export.', 'error');
+        return;
+    }
+
+    await saveZipPackage(createQTI12Package(questions, settings), 'blackboard_qti_1_2_export.zip', 'QTI 1.2 Package downloaded successfully!');
+}
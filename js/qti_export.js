@@ -1,76 +1,12 @@
 /**
  * QTI 2.1 Export Module
- * Handles parsing questions and generating QTI 2.1 compliant ZIP packages
+ * Generates QTI 2.1 compliant ZIP packages from parsed question objects (js/question_parser.js)
  */
 
 // ============================================================================
-// CONSTANTS & HELPERS
+// HELPERS
 // ============================================================================
 
-const QTI_METADATA_PATTERNS = [
-    /\(LO\d+\)/gi,
-    /\(CLO\d+\)/gi,
-    /\[Module\s+\d+\]/gi,
-    /\[الوحدة\s+\d+\]/gi,
-    /\[Module\s*\d+\]/gi,
-    /\[الوحدة\s*\d+\]/gi,
-    /\[Difficulty\s+Level?:\s*(Low|Mid|High)\]/gi,
-    /\[مستوى\s+الصعوبة:\s*(منخفض|متوسط|عالي|Low|Mid|High)\]/gi,
-    /\([^)]*(?:Dr\.|La\.|Dr|Author|د\.|دكتور|المؤلف)[^)]*\)/gi,
-    /\([^)]*Dr[^)]*\)/gi,
-    /\([^)]*د[^)]*\)/gi,
-    /\([^)]*(?:LO|CLO|Module|Difficulty|Level|Author)[^)]*\)/gi,
-    /\[[^\]]*(?:Module|Difficulty|Level|Author|وحدة|صعوبة|مستوى)[^\]]*\]/gi
-];
-
-const QTI_QUESTION_PATTERNS = {
-    NUMBERED: /^\d+\.\s+/,
-    LETTERED: /^[a-z\u0600-\u06FF]\)\s+/i
-};
-
-function stripQTIMetadata(text) {
-    if (!text || typeof text !== 'string') return text || '';
-    let cleaned = text;
-    let previousLength = cleaned.length;
-    let iterations = 0;
-    do {
-        previousLength = cleaned.length;
-        QTI_METADATA_PATTERNS.forEach(pattern => {
-            cleaned = cleaned.replace(pattern, '');
-        });
-        iterations++;
-    } while (cleaned.length !== previousLength && iterations < 5);
-    return cleaned.replace(/\s+/g, ' ').trim();
-}
-
-function extractQTIPrefix(text) {
-    let prefix = '';
-    let cleaned = text;
-    const numberedMatch = text.match(QTI_QUESTION_PATTERNS.NUMBERED);
-    if (numberedMatch) {
-        prefix = numberedMatch[0];
-        cleaned = text.replace(QTI_QUESTION_PATTERNS.NUMBERED, '').trim();
-        return { prefix, cleaned };
-    }
-    const letteredMatch = text.match(QTI_QUESTION_PATTERNS.LETTERED);
-    if (letteredMatch) {
-        prefix = letteredMatch[0];
-        cleaned = text.replace(QTI_QUESTION_PATTERNS.LETTERED, '').trim();
-        return { prefix, cleaned };
-    }
-    return { prefix: '', cleaned: text.trim() };
-}
-
-function generateUUID() {
-    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-        return crypto.randomUUID();
-    }
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
-}
-
 function escapeXML(str) {
     if (!str) return '';
     return str.replace(/&/g, '&amp;')
@@ -80,120 +16,163 @@ function escapeXML(str) {
               .replace(/'/g, '&apos;');
 }
 
-// ============================================================================
-// PARSING FUNCTIONS
-// ============================================================================
+function getItemPoints(data) {
+    return formatNumericValue(data.points ?? DEFAULT_POINTS);
+}
 
-function parseMCQData(text) {
-    const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-    if (rawLines.length < 2) return null;
-
-    let questionLine = stripQTIMetadata(rawLines[0]);
-    const { cleaned: question } = extractQTIPrefix(questionLine);
-    if (!question) return null;
-
-    const choices = [];
-    for (let i = 1; i < rawLines.length; i++) {
-        let choiceLine = stripQTIMetadata(rawLines[i]);
-        const isCorrect = choiceLine.includes('*');
-        let choice = choiceLine.replace(/^[a-z\u0600-\u06FF]\)?\s*\.?\s*/i, '').replace(/\*/g, '').trim();
-        if (choice) {
-            choices.push({ id: generateUUID(), text: choice, isCorrect });
-        }
-    }
-    if (choices.length === 0 || !choices.some(c => c.isCorrect)) return null;
+// Feedback identifiers shared by FEEDBACKBASIC and the modalFeedback elements
+const CORRECT_FEEDBACK_ID = 'correct_fb';
+const INCORRECT_FEEDBACK_ID = 'incorrect_fb';
 
-    return { type: 'MCQ', id: generateUUID(), question, choices };
+function hasItemFeedback(data) {
+    return Boolean(data.feedback && (data.feedback.correct || data.feedback.incorrect));
 }
 
-function parseEssayData(text) {
-    let cleaned = stripQTIMetadata(text);
-    const { cleaned: question } = extractQTIPrefix(cleaned);
-    if (!question) return null;
-    return { type: 'ESSAY', id: generateUUID(), question };
+function generateFeedbackOutcomeXML(data) {
+    if (!hasItemFeedback(data)) return '';
+    return `
+  <outcomeDeclaration identifier="FEEDBACKBASIC" cardinality="single" baseType="identifier"/>`;
 }
 
-function parseTFData(text) {
-    let cleaned = stripQTIMetadata(text);
-    const lines = cleaned.split('\n').map(line => line.trim()).filter(line => line !== '');
-    if (lines.length < 1) return null;
+// Picks the modal feedback once SCORE is known: full marks show the correct feedback.
+// Manually graded items always show their (correct) feedback after submission.
+function generateFeedbackProcessingXML(data, standalone = false) {
+    if (!hasItemFeedback(data)) return '';
 
-    const { cleaned: question } = extractQTIPrefix(lines[0]);
-    if (!question) return null;
-
-    let correctAnswer = false;
-    for (let i = 1; i < lines.length; i++) {
-        if (lines[i].toLowerCase().includes('true') && lines[i].includes('*')) correctAnswer = true;
-    }
-    // Note: If False is marked with *, correctAnswer stays false. If True is *, it becomes true.
+    const xml = MANUALLY_GRADED_TYPES.includes(data.type)
+        ? `
+    <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">${CORRECT_FEEDBACK_ID}</baseValue></setOutcomeValue>`
+        : `
+    <responseCondition>
+      <responseIf>
+        <gte><variable identifier="SCORE"/><variable identifier="MAXSCORE"/></gte>
+        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">${CORRECT_FEEDBACK_ID}</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">${INCORRECT_FEEDBACK_ID}</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>`;
 
-    return { type: 'TF', id: generateUUID(), question, correctAnswer };
+    return standalone ? `
+  <responseProcessing>${xml}
+  </responseProcessing>` : xml;
 }
 
-function parseFIBData(text) {
-    const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-    if (rawLines.length < 2) return null;
-
-    let questionLine = stripQTIMetadata(rawLines[0]);
-    const { cleaned: question } = extractQTIPrefix(questionLine);
-    if (!question) return null;
-
-    const answers = [];
-    for (let i = 1; i < rawLines.length; i++) {
-        let ans = stripQTIMetadata(rawLines[i]);
-        if (ans) answers.push(ans);
+function generateModalFeedbackXML(data) {
+    let xml = '';
+    if (data.feedback?.correct) {
+        xml += `
+  <modalFeedback outcomeIdentifier="FEEDBACKBASIC" identifier="${CORRECT_FEEDBACK_ID}" showHide="show">${escapeXML(data.feedback.correct)}</modalFeedback>`;
+    }
+    if (data.feedback?.incorrect) {
+        xml += `
+  <modalFeedback outcomeIdentifier="FEEDBACKBASIC" identifier="${INCORRECT_FEEDBACK_ID}" showHide="show">${escapeXML(data.feedback.incorrect)}</modalFeedback>`;
     }
-    if (answers.length === 0) return null;
+    return xml;
+}
+
+// LOM educational difficulty vocabulary for the SEU difficulty levels
+const LOM_DIFFICULTY = { Low: 'easy', Mid: 'medium', High: 'difficult' };
+
+// QTI interaction type reported in item metadata, by question type
+const QTI_INTERACTION_TYPES = {
+    MC: 'choiceInteraction',
+    MA: 'choiceInteraction',
+    TF: 'choiceInteraction',
+    ESS: 'extendedTextInteraction',
+    FIB: 'textEntryInteraction',
+    FIB_PLUS: 'textEntryInteraction',
+    ORD: 'orderInteraction',
+    JUMBLED_SENTENCE: 'gapMatchInteraction',
+    OP: 'choiceInteraction',
+    FIL: 'uploadInteraction',
+    MAT: 'matchInteraction',
+    NUM: 'textEntryInteraction'
+};
 
-    return { type: 'FIB', id: generateUUID(), question, answers };
+function generateItemTitle(data) {
+    const stem = data.stem || '';
+    const title = stem.length > 60 ? `${stem.slice(0, 57).trim()}...` : stem;
+    return data.number ? `${data.number}. ${title}` : title;
 }
 
-function parseMAData(text) {
-    // Similar structure to MCQ but multiple correct answers allowed
-    const data = parseMCQData(text);
-    if (data) {
-        data.type = 'MA';
-        // Validate at least one correct choice (already checked in parseMCQData logic, but checking logic there is some(), which is fine for MA too)
-    }
-    return data;
+function generateLOMString(text) {
+    return `<imsmd:string language="${/[\u0600-\u06FF]/.test(text) ? 'ar' : 'en'}">${escapeXML(text)}</imsmd:string>`;
 }
 
-function parseMatchingData(text) {
-    let cleaned = stripQTIMetadata(text);
-    const lines = cleaned.split('\n').map(line => line.trim()).filter(line => line !== '');
-    if (lines.length < 2) return null;
-
-    const { cleaned: question } = extractQTIPrefix(lines[0]);
-    if (!question) return null;
-
-    const pairs = [];
-    for (let i = 1; i < lines.length; i++) {
-        const parts = lines[i].split(/\s+/).filter(p => p !== '');
-        if (parts.length >= 2) {
-            pairs.push({
-                id: generateUUID(),
-                left: parts[0],
-                right: parts.slice(1).join(' ')
-            });
-        }
-    }
-    if (pairs.length === 0) return null;
+function generateItemMetadataXML(question) {
+    const metadata = question.metadata || {};
+    const outcomes = metadata.learningOutcomes || [];
 
-    return { type: 'MATCH', id: generateUUID(), question, pairs };
-}
+    // Keywords: outcomes, module and difficulty, so Blackboard can filter on any of them
+    const keywords = [...outcomes];
+    if (metadata.module !== null && metadata.module !== undefined) keywords.push(`Module ${metadata.module}`);
+    if (metadata.difficulty) keywords.push(`Difficulty ${metadata.difficulty}`);
 
-function parseNumericData(text) {
-    const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-    if (rawLines.length < 2) return null;
+    let generalXML = `
+            <imsmd:title>${generateLOMString(generateItemTitle(question))}</imsmd:title>`;
+    keywords.forEach(keyword => {
+        generalXML += `
+            <imsmd:keyword>${generateLOMString(keyword)}</imsmd:keyword>`;
+    });
+
+    let lifeCycleXML = '';
+    if (metadata.author) {
+        lifeCycleXML = `
+          <imsmd:lifeCycle>
+            <imsmd:contribute>
+              <imsmd:role><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>author</imsmd:value></imsmd:role>
+              <imsmd:entity>${escapeXML(`BEGIN:VCARD\nFN:${metadata.author}\nEND:VCARD`)}</imsmd:entity>
+            </imsmd:contribute>
+          </imsmd:lifeCycle>`;
+    }
 
-    let questionLine = stripQTIMetadata(rawLines[0]);
-    const { cleaned: question } = extractQTIPrefix(questionLine);
-    if (!question) return null;
+    let educationalXML = '';
+    if (LOM_DIFFICULTY[metadata.difficulty]) {
+        educationalXML = `
+          <imsmd:educational>
+            <imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>${LOM_DIFFICULTY[metadata.difficulty]}</imsmd:value></imsmd:difficulty>
+          </imsmd:educational>`;
+    }
 
-    const answer = stripQTIMetadata(rawLines[1]);
-    const tolerance = rawLines.length > 2 ? stripQTIMetadata(rawLines[2]) : null;
+    // Learning outcomes: LOM classification plus Common Cartridge curriculum standards
+    let classificationXML = '';
+    let standardsXML = '';
+    if (outcomes.length > 0) {
+        let taxonsXML = '';
+        let guidsXML = '';
+        outcomes.forEach(code => {
+            taxonsXML += `
+              <imsmd:taxon><imsmd:id>${escapeXML(code)}</imsmd:id><imsmd:entry>${generateLOMString(code)}</imsmd:entry></imsmd:taxon>`;
+            guidsXML += `
+              <csm:labelledGUID><csm:label>${escapeXML(code)}</csm:label><csm:GUID>${escapeXML(code)}</csm:GUID></csm:labelledGUID>`;
+        });
+        classificationXML = `
+          <imsmd:classification>
+            <imsmd:purpose><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>educational objective</imsmd:value></imsmd:purpose>
+            <imsmd:taxonPath>
+              <imsmd:source>${generateLOMString('Learning Outcomes')}</imsmd:source>${taxonsXML}
+            </imsmd:taxonPath>
+          </imsmd:classification>`;
+        standardsXML = `
+        <csm:curriculumStandardsMetadataSet resourceLabel="${escapeXML(generateItemTitle(question))}" resourcePartId="${question.id}">
+          <csm:curriculumStandardsMetadata providerId="SEU">
+            <csm:setOfGUIDs>${guidsXML}
+            </csm:setOfGUIDs>
+          </csm:curriculumStandardsMetadata>
+        </csm:curriculumStandardsMetadataSet>`;
+    }
 
-    return { type: 'NUMERIC', id: generateUUID(), question, answer, tolerance };
+    return `
+      <metadata>
+        <imsmd:lom>
+          <imsmd:general>${generalXML}
+          </imsmd:general>${lifeCycleXML}${educationalXML}${classificationXML}
+        </imsmd:lom>
+        <imsqti:qtiMetadata>
+          <imsqti:interactionType>${QTI_INTERACTION_TYPES[question.type] || ''}</imsqti:interactionType>
+        </imsqti:qtiMetadata>${standardsXML}
+      </metadata>`;
 }
 
 
@@ -245,27 +224,40 @@ function generateManifest(items) {
 </manifest>`;
 }
 
-function generateAssessmentTestXML(items, testId) {
-    let itemRefs = '';
-    items.forEach(item => {
-        itemRefs += `<assessmentItemRef identifier="${item.id}" href="${item.filename}" />`;
+/**
+ * Generates the question bank test referencing every item
+ * @param {Array<Object>} items - Items as { id, filename, question }
+ * @param {string} testId - Test identifier
+ * @param {string} title - Test (pool) title
+ * @param {Array<Object>} sections - [{ title, items }], one assessmentSection each (default: every item in "Section 1")
+ * @returns {string} - assessmentTest XML
+ */
+function generateAssessmentTestXML(items, testId, title = 'Question Bank', sections = [{ title: 'Section 1', items }]) {
+    let sectionsXML = '';
+    sections.forEach((section, index) => {
+        let itemRefs = '';
+        section.items.forEach(item => {
+            itemRefs += `<assessmentItemRef identifier="${item.id}" href="${item.filename}" />`;
+        });
+        const sectionId = sections.length === 1 ? `section_${testId}` : `section_${testId}_${index + 1}`;
+        sectionsXML += `
+    <assessmentSection identifier="${sectionId}" visible="false" title="${escapeXML(section.title)}">
+      ${itemRefs}
+    </assessmentSection>`;
     });
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${testId}" title="Question Bank">
-  <testPart identifier="part_${testId}" navigationMode="nonlinear" submissionMode="simultaneous">
-    <assessmentSection identifier="section_${testId}" visible="false" title="Section 1">
-      ${itemRefs}
-    </assessmentSection>
+    identifier="${testId}" title="${escapeXML(title)}">
+  <testPart identifier="part_${testId}" navigationMode="nonlinear" submissionMode="simultaneous">${sectionsXML}
   </testPart>
 </assessmentTest>`;
 }
 
-function generateMCQXML(data) {
-    const maxChoices = data.type === 'MA' ? data.choices.length : 1;
+function generateMCQXML(data, options = {}) {
+    const maxChoices = data.type === QUESTION_TYPES.MA ? data.choices.length : 1;
     const card = 'multiple'; // Blackboard seems to prefer multiple for both
     const correctIds = data.choices.filter(c => c.isCorrect).map(c => c.id);
     
@@ -274,17 +266,41 @@ function generateMCQXML(data) {
         correctXML += `<value>${id}</value> `;
     });
 
+    // Multiple Answer: each correct choice earns its share of the points and each wrong choice
+    // costs the same share, bounded to 0..MAXSCORE
+    const isMultipleAnswer = data.type === QUESTION_TYPES.MA;
+    const share = formatNumericValue(Number(getItemPoints(data)) / Math.max(correctIds.length, 1));
+    let mappingXML = '';
+    if (isMultipleAnswer) {
+        data.choices.forEach(choice => {
+            mappingXML += `
+      <mapEntry mapKey="${choice.id}" mappedValue="${choice.isCorrect ? share : `-${share}`}"/>`;
+        });
+        mappingXML = `
+    <mapping defaultValue="0" lowerBound="0" upperBound="${getItemPoints(data)}">${mappingXML}
+    </mapping>`;
+    }
+    const scoreXML = isMultipleAnswer
+        ? `
+    <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>`
+        : '';
+
+    // Choice rationales are shown inline next to the choices the student selected
+    const hasRationales = data.choices.some(choice => choice.feedback);
     let choicesXML = '';
     data.choices.forEach(choice => {
+        const rationaleXML = choice.feedback
+            ? `
+        <feedbackInline outcomeIdentifier="FEEDBACK" identifier="${choice.id}" showHide="show">${escapeXML(choice.feedback)}</feedbackInline>`
+            : '';
         choicesXML += `
       <simpleChoice identifier="${choice.id}" fixed="true">
-        <div>${escapeXML(choice.text)}</div>
+        <div>${escapeXML(choice.text)}</div>${rationaleXML}
       </simpleChoice>`;
     });
 
-    // Determine feedback ID (simplified for now)
-    const correctFeedbackId = "correct_fb";
-    const incorrectFeedbackId = "incorrect_fb";
+    const correctFeedbackId = CORRECT_FEEDBACK_ID;
+    const incorrectFeedbackId = INCORRECT_FEEDBACK_ID;
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
@@ -292,28 +308,30 @@ function generateMCQXML(data) {
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
   <responseDeclaration identifier="RESPONSE" cardinality="${card}" baseType="identifier">
     <correctResponse>
       ${correctXML}
-    </correctResponse>
+    </correctResponse>${mappingXML}
   </responseDeclaration>
   <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
-  <outcomeDeclaration identifier="FEEDBACKBASIC" cardinality="single" baseType="identifier"/>
+  <outcomeDeclaration identifier="FEEDBACKBASIC" cardinality="single" baseType="identifier"/>${hasRationales ? `
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="multiple" baseType="identifier"/>` : ''}
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
-    <defaultValue><value>0</value></defaultValue>
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
   </outcomeDeclaration>
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <div>${escapeXML(data.stem)}</div>
     </div>
-    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${maxChoices}">
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${Boolean(options.shuffleChoices)}" maxChoices="${maxChoices}">
       ${choicesXML}
     </choiceInteraction>
   </itemBody>
-  <responseProcessing>
+  <responseProcessing>${scoreXML}${hasRationales ? `
+    <setOutcomeValue identifier="FEEDBACK"><variable identifier="RESPONSE"/></setOutcomeValue>` : ''}
     <responseCondition>
       <responseIf>
         <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
@@ -325,6 +343,7 @@ function generateMCQXML(data) {
       </responseElse>
     </responseCondition>
   </responseProcessing>
+${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
@@ -339,7 +358,7 @@ function generateTFXML(data) {
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
   <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
     <correctResponse>
       <value>${correctId}</value>
@@ -350,11 +369,11 @@ function generateTFXML(data) {
   </outcomeDeclaration>
   <outcomeDeclaration identifier="FEEDBACKBASIC" cardinality="single" baseType="identifier"/>
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
-    <defaultValue><value>0</value></defaultValue>
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
   </outcomeDeclaration>
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <div>${escapeXML(data.stem)}</div>
     </div>
     <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
       <simpleChoice identifier="${trueId}"><p>True</p></simpleChoice>
@@ -366,13 +385,14 @@ function generateTFXML(data) {
       <responseIf>
         <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
         <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
-        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">correct_fb</baseValue></setOutcomeValue>
+        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">${CORRECT_FEEDBACK_ID}</baseValue></setOutcomeValue>
       </responseIf>
       <responseElse>
-        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">incorrect_fb</baseValue></setOutcomeValue>
+        <setOutcomeValue identifier="FEEDBACKBASIC"><baseValue baseType="identifier">${INCORRECT_FEEDBACK_ID}</baseValue></setOutcomeValue>
       </responseElse>
     </responseCondition>
   </responseProcessing>
+${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
@@ -383,27 +403,30 @@ function generateEssayXML(data) {
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
   <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
   <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
-    <defaultValue><value>0</value></defaultValue>
-  </outcomeDeclaration>
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <div>${escapeXML(data.stem)}</div>
     </div>
     <extendedTextInteraction responseIdentifier="RESPONSE"/>
-  </itemBody>
+  </itemBody>${generateFeedbackProcessingXML(data, true)}${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
 function generateFIBXML(data) {
     let valuesXML = '';
+    let mapEntriesXML = '';
     data.answers.forEach(ans => {
         valuesXML += `<value>${escapeXML(ans)}</value>`;
+        mapEntriesXML += `
+      <mapEntry mapKey="${escapeXML(ans)}" mappedValue="${getItemPoints(data)}" caseSensitive="false"/>`;
     });
 
     return `<?xml version="1.0" encoding="UTF-8"?>
@@ -412,30 +435,93 @@ function generateFIBXML(data) {
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
   <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
     <correctResponse>
       ${valuesXML}
     </correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${getItemPoints(data)}">${mapEntriesXML}
+    </mapping>
   </responseDeclaration>
   <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
+  <itemBody>
+    <div>
+      <div>${escapeXML(data.stem)}</div>
+    </div>
+    <textEntryInteraction responseIdentifier="RESPONSE"/>
+  </itemBody>
+  <responseProcessing>
+    <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
+</assessmentItem>`;
+}
+
+function generateFIBPlusXML(data) {
+    // Each blank earns an equal share of the points
+    const share = formatNumericValue(Number(getItemPoints(data)) / data.blanks.length);
+    let declarationsXML = '';
+    let scoreSumXML = '';
+    data.blanks.forEach((blank, i) => {
+        let mapEntriesXML = '';
+        blank.answers.forEach(ans => {
+            mapEntriesXML += `
+      <mapEntry mapKey="${escapeXML(ans)}" mappedValue="${share}" caseSensitive="false"/>`;
+        });
+        scoreSumXML += `<mapResponse identifier="RESPONSE_${i + 1}"/>`;
+        declarationsXML += `
+  <responseDeclaration identifier="RESPONSE_${i + 1}" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${escapeXML(blank.answers[0])}</value>
+    </correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${share}">${mapEntriesXML}
+    </mapping>
+  </responseDeclaration>`;
+    });
+
+    // Replace each [variable] in the stem with its text entry
+    let bodyXML = escapeXML(data.stem);
+    data.blanks.forEach((blank, i) => {
+        bodyXML = bodyXML.split(`[${blank.variable}]`).join(`<textEntryInteraction responseIdentifier="RESPONSE_${i + 1}"/>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
+    xmlns:ns8="http://www.w3.org/1999/xlink"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">${declarationsXML}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <p>${bodyXML}</p>
     </div>
-    <textEntryInteraction responseIdentifier="RESPONSE"/>
   </itemBody>
+  <responseProcessing>
+    <setOutcomeValue identifier="SCORE"><sum>${scoreSumXML}</sum></setOutcomeValue>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
 function generateMatchingXML(data) {
     const leftIds = data.pairs.map((p, i) => `L${i}`);
-    const rightIds = data.pairs.map((p, i) => `R${i}`);
+    const targets = [
+        ...data.pairs.map(p => p.right),
+        ...(data.distractors || [])
+    ];
+    const rightIds = targets.map((t, i) => `R${i}`);
     
     let sourceChoices = '';
     data.pairs.forEach((p, i) => {
@@ -445,17 +531,23 @@ function generateMatchingXML(data) {
         </simpleAssociableChoice>`;
     });
 
+    // Distractor targets follow the real answers and are never part of the correct response
     let targetChoices = '';
-    data.pairs.forEach((p, i) => {
+    targets.forEach((text, i) => {
         targetChoices += `
         <simpleAssociableChoice identifier="${rightIds[i]}" matchMax="1">
-            <p>${escapeXML(p.right)}</p>
+            <p>${escapeXML(text)}</p>
         </simpleAssociableChoice>`;
     });
     
+    // Each correct pair earns an equal share of the points
+    const share = formatNumericValue(Number(getItemPoints(data)) / data.pairs.length);
     let correctResponse = '';
+    let mapEntriesXML = '';
     data.pairs.forEach((p, i) => {
         correctResponse += `<value>${leftIds[i]} ${rightIds[i]}</value> `;
+        mapEntriesXML += `
+      <mapEntry mapKey="${leftIds[i]} ${rightIds[i]}" mappedValue="${share}"/>`;
     });
 
     return `<?xml version="1.0" encoding="UTF-8"?>
@@ -464,21 +556,23 @@ function generateMatchingXML(data) {
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
   <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
     <correctResponse>
       ${correctResponse}
     </correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${getItemPoints(data)}">${mapEntriesXML}
+    </mapping>
   </responseDeclaration>
   <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
-    <defaultValue><value>0</value></defaultValue>
-  </outcomeDeclaration>
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <div>${escapeXML(data.stem)}</div>
     </div>
     <matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${data.pairs.length}">
       <simpleMatchSet>
@@ -489,88 +583,312 @@ function generateMatchingXML(data) {
       </simpleMatchSet>
     </matchInteraction>
   </itemBody>
+  <responseProcessing>
+    <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
-function generateNumericXML(data) {
+function generateOrderingXML(data) {
+    let choicesXML = '';
+    let correctXML = '';
+    data.items.forEach((item, i) => {
+        choicesXML += `
+      <simpleChoice identifier="CHOICE_${i + 1}">
+        <div>${escapeXML(item.text)}</div>
+      </simpleChoice>`;
+        correctXML += `<value>CHOICE_${i + 1}</value> `;
+    });
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
     xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
     xmlns:ns8="http://www.w3.org/1999/xlink"
     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
     xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
-    identifier="${data.id}" title="" adaptive="false" timeDependent="false">
-  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+      ${correctXML}
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
+  <itemBody>
+    <div>
+      <div>${escapeXML(data.stem)}</div>
+    </div>
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${choicesXML}
+    </orderInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
+</assessmentItem>`;
+}
+
+function generateJumbledSentenceXML(data) {
+    // One draggable word per distinct answer (usable once per blank it fills) plus the distractors
+    const words = [];
+    data.blanks.forEach(blank => {
+        const word = words.find(w => w.text === blank.answer);
+        if (word) {
+            word.matchMax++;
+        } else {
+            words.push({ id: `WORD_${words.length + 1}`, text: blank.answer, matchMax: 1 });
+        }
+    });
+    data.distractors.forEach(text => {
+        words.push({ id: `WORD_${words.length + 1}`, text, matchMax: 1 });
+    });
+
+    let wordsXML = '';
+    words.forEach(word => {
+        wordsXML += `
+      <gapText identifier="${word.id}" matchMax="${word.matchMax}">${escapeXML(word.text)}</gapText>`;
+    });
+
+    let correctXML = '';
+    let sentenceXML = escapeXML(data.stem);
+    data.blanks.forEach((blank, i) => {
+        const word = words.find(w => w.text === blank.answer);
+        correctXML += `<value>${word.id} GAP_${i + 1}</value> `;
+        sentenceXML = sentenceXML.replace(`[${blank.variable}]`, `<gap identifier="GAP_${i + 1}"/>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
+    xmlns:ns8="http://www.w3.org/1999/xlink"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
     <correctResponse>
-      <value>${data.answer}</value>
+      ${correctXML}
     </correctResponse>
   </responseDeclaration>
   <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
   <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
+  <itemBody>
+    <gapMatchInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${wordsXML}
+      <p>${sentenceXML}</p>
+    </gapMatchInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
+</assessmentItem>`;
+}
+
+function generateOpinionScaleXML(data) {
+    let choicesXML = '';
+    data.scale.forEach((point, i) => {
+        choicesXML += `
+      <simpleChoice identifier="SCALE_${i + 1}" fixed="true">
+        <div>${escapeXML(point.text)}</div>
+      </simpleChoice>`;
+    });
+
+    // Survey item: no correct response and no score
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
+    xmlns:ns8="http://www.w3.org/1999/xlink"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"/>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
+  <itemBody>
+    <div>
+      <div>${escapeXML(data.stem)}</div>
+    </div>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      ${choicesXML}
+    </choiceInteraction>
+  </itemBody>${generateFeedbackProcessingXML(data, true)}${generateModalFeedbackXML(data)}
+</assessmentItem>`;
+}
+
+function generateFileResponseXML(data) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
+    xmlns:ns8="http://www.w3.org/1999/xlink"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="file"/>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
+  <itemBody>
+    <div>
+      <div>${escapeXML(data.stem)}</div>
+    </div>
+    <uploadInteraction responseIdentifier="RESPONSE"/>
+  </itemBody>${generateFeedbackProcessingXML(data, true)}${generateModalFeedbackXML(data)}
+</assessmentItem>`;
+}
+
+function generateNumericXML(data) {
+    // Exact answers match after rounding to the answer's decimal places; tolerances and ranges check min..max
+    const decimals = (String(data.answer).split('.')[1] || '').length;
+    const matchXML = data.range
+        ? `<and>
+          <gte><variable identifier="RESPONSE"/><baseValue baseType="float">${data.range.min}</baseValue></gte>
+          <lte><variable identifier="RESPONSE"/><baseValue baseType="float">${data.range.max}</baseValue></lte>
+        </and>`
+        : `<equalRounded roundingMode="decimalPlaces" figures="${decimals}">
+          <variable identifier="RESPONSE"/><correct identifier="RESPONSE"/>
+        </equalRounded>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:ns9="http://www.imsglobal.org/xsd/apip/apipv1p0/imsapip_qtiv1p0"
+    xmlns:ns8="http://www.w3.org/1999/xlink"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${data.id}" title="${escapeXML(generateItemTitle(data))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse>
+      <value>${escapeXML(data.answer)}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
     <defaultValue><value>0</value></defaultValue>
   </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${getItemPoints(data)}</value></defaultValue>
+  </outcomeDeclaration>${generateFeedbackOutcomeXML(data)}
   <itemBody>
     <div>
-      <div>${escapeXML(data.question)}</div>
+      <div>${escapeXML(data.stem)}</div>
     </div>
     <textEntryInteraction responseIdentifier="RESPONSE"/>
   </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${matchXML}
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>${generateFeedbackProcessingXML(data)}
+  </responseProcessing>
+${generateModalFeedbackXML(data)}
 </assessmentItem>`;
 }
 
+function generateQTIItemXML(question, options = {}) {
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            return generateMCQXML(question, options);
+        case QUESTION_TYPES.ESS:
+            return generateEssayXML(question);
+        case QUESTION_TYPES.TF:
+            return generateTFXML(question);
+        case QUESTION_TYPES.FIB:
+            return generateFIBXML(question);
+        case QUESTION_TYPES.FIB_PLUS:
+            return generateFIBPlusXML(question);
+        case QUESTION_TYPES.MAT:
+            return generateMatchingXML(question);
+        case QUESTION_TYPES.ORD:
+            return generateOrderingXML(question);
+        case QUESTION_TYPES.JUMBLED_SENTENCE:
+            return generateJumbledSentenceXML(question);
+        case QUESTION_TYPES.OP:
+            return generateOpinionScaleXML(question);
+        case QUESTION_TYPES.FIL:
+            return generateFileResponseXML(question);
+        case QUESTION_TYPES.NUM:
+            return generateNumericXML(question);
+        default:
+            throw new Error(`Unsupported question type for QTI 2.1: ${question.type}`);
+    }
+}
+
 // ============================================================================
 // MAIN DOWNLOAD FUNCTION
 // ============================================================================
 
+/**
+ * Builds a QTI 2.1 package: one item file per question plus the question bank test,
+ * with a section per pool when the export settings split the questions into pools
+ * @param {Array<Object>} questions - Question objects, in output order
+ * @param {Object} settings - Export settings
+ * @returns {JSZip} - Package contents
+ */
+function createQTIPackage(questions, settings) {
+    const zip = new JSZip();
+    const items = [];
+
+    questions.forEach(question => {
+        const xml = generateQTIItemXML(question, settings);
+        // Items go in qti21/ folder
+        const filename = `item_${question.id}.xml`;
+        zip.file(`qti21/${filename}`, xml);
+        items.push({ id: question.id, filename: filename, question });
+    });
+
+    // The manifest has to point at the same test ID as the question bank file
+    const testId = generateUUID();
+    const testFilename = `question_bank_${testId}.xml`;
+
+    const sections = groupQuestionsIntoPools(questions, settings.poolGrouping).map(pool => ({
+        title: pool.label || 'Section 1',
+        items: items.filter(item => pool.questions.includes(item.question))
+    }));
+    const testXML = generateAssessmentTestXML(items, testId, settings.poolName || undefined, sections);
+    zip.file(`qti21/${testFilename}`, testXML);
+
+    const manifestXML = generateManifestWithTest(items, testId, testFilename);
+    zip.file('imsmanifest.xml', manifestXML);
+
+    return zip;
+}
+
 async function downloadQTI() {
     if (typeof JSZip === 'undefined') {
         alert("JSZip library not loaded. Please refresh the page.");
         return;
     }
 
-    const zip = new JSZip();
-    const items = [];
-    let hasQuestions = false;
-
-    // Helper to process text area
-    const processTextArea = (id, parser, generator) => {
-        const text = document.getElementById(id)?.value || '';
-        if (!text.trim()) return;
-
-        // Split regex depends on type slightly, reusing logic from script.js roughly
-        let blocks = [];
-        if (id === 'mcqText' || id === 'tfText' || id === 'fibText' || id === 'maText' || id === 'matText' || id === 'numText') {
-             blocks = text.split(/\n(?=\d+\.\s+)/).filter(b => b.trim());
-             if (blocks.length === 0 && text.trim()) blocks = [text];
-        } else if (id === 'essayText') {
-             blocks = text.split(/\n(?=\d+\.\s+|[a-z\u0600-\u06FF]\)\s+)/i).filter(b => b.trim());
-        }
+    // Parse all tabs with the same parser layer used for the Blackboard TXT output
+    const settings = getExportSettings();
+    const questions = orderQuestions(parseAllTabs().questions, settings.order);
 
-        blocks.forEach(block => {
-            const data = parser(block);
-            if (data) {
-                const xml = generator(data);
-                // Items go in qti21/ folder
-                const filename = `item_${data.id}.xml`;
-                zip.file(`qti21/${filename}`, xml);
-                items.push({ id: data.id, filename: filename });
-                hasQuestions = true;
-            }
-        });
-    };
-
-    // Process all types
-    processTextArea('mcqText', parseMCQData, generateMCQXML);
-    processTextArea('essayText', parseEssayData, generateEssayXML);
-    processTextArea('tfText', parseTFData, generateTFXML);
-    processTextArea('fibText', parseFIBData, generateFIBXML);
-    processTextArea('maText', parseMAData, generateMCQXML); 
-    processTextArea('matText', parseMatchingData, generateMatchingXML);
-    processTextArea('numText', parseNumericData, generateNumericXML);
-
-    if (!hasQuestions) {
+    if (questions.length === 0) {
         if (window.showNotification) {
             window.showNotification('No questions to export.', 'error');
         } else {
@@ -579,48 +897,28 @@ async function downloadQTI() {
         return;
     }
 
-    // Generate Question Bank (Assessment Test)
-    // Extract test ID from manifest logic (needs to be consistent)
-    // Actually, generateAssessmentTestXML needs a test ID.
-    // generateManifest calls items. But we need to coordinate the test ID if we want consistency, 
-    // although manifest just needs to point to the file.
-    
-    // Let's generate the test file first
-    // We'll peek into generateManifest to see how it handles the test ID
-    // Better yet, refactor generateManifest to return the test ID or accept it?
-    // Current generateManifest generates a new test ID internally. 
-    // Wait, I updated generateManifest above to generate the test ID internally and return the XML.
-    // BUT I also need the test XML content itself!
-    // The previous implementation of generateManifest returned just the manifest XML string.
-    // I need to extract the test generation logic or split it.
-    
-    // Let's modify the flow slightly:
-    // 1. Generate items (done above)
-    // 2. Generate Test ID
-    const testId = generateUUID();
-    const testFilename = `question_bank_${testId}.xml`;
-    
-    // 3. Generate Test XML
-    const testXML = generateAssessmentTestXML(items, testId);
-    zip.file(`qti21/${testFilename}`, testXML);
-    
-    // 4. Generate Manifest (passing test info)
-    // I need to update generateManifest to accept testId and testFilename instead of generating them
-    const manifestXML = generateManifestWithTest(items, testId, testFilename);
-    zip.file('imsmanifest.xml', manifestXML);
+    await saveZipPackage(createQTIPackage(questions, settings), "blackboard_qti_2_1_export.zip", 'QTI 2.1 Package downloaded successfully!');
+}
 
-    // Generate ZIP
+/**
+ * Generates a ZIP package and downloads it
+ * Shared by every package exporter
+ * @param {JSZip} zip - Package contents
+ * @param {string} filename - Download file name
+ * @param {string} successMessage - Notification shown after the download starts
+ */
+async function saveZipPackage(zip, filename, successMessage) {
     try {
         const content = await zip.generateAsync({ type: "blob" });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(content);
-        link.download = "blackboard_qti_2_1_export.zip";
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         
         if (window.showNotification) {
-            window.showNotification('QTI 2.1 Package downloaded successfully!', 'success');
+            window.showNotification(successMessage, 'success');
         }
     } catch (e) {
         console.error(e);
@@ -650,10 +948,10 @@ function generateManifestWithTest(items, testId, testFilename) {
       ${dependenciesXML}
     </resource>`;
 
-    // Add Item Resources
+    // Add Item Resources (with LOM / QTI metadata so banks can be filtered after import)
     items.forEach(item => {
         resourcesXML += `
-    <resource identifier="${item.id}" type="imsqti_item_xmlv2p1" href="qti21/${item.filename}">
+    <resource identifier="${item.id}" type="imsqti_item_xmlv2p1" href="qti21/${item.filename}">${item.question ? generateItemMetadataXML(item.question) : ''}
       <file href="qti21/${item.filename}"/>
     </resource>`;
     });
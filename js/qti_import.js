@@ -0,0 +1,568 @@
+/**
+ * QTI 2.1 Import Module
+ * Opens a QTI 2.1 content package (our own exports and those of other LMSs) with JSZip,
+ * follows imsmanifest.xml to each assessment item and turns choice, text entry, match,
+ * extended text, order, upload and gap match interactions back into SEU-formatted text in the
+ * matching tabs. Items with other interactions are reported instead of imported.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Interactions rendered as the item's answer area; their text is never part of the stem
+const QTI_BLOCK_INTERACTIONS = [
+    'choiceInteraction', 'matchInteraction', 'extendedTextInteraction', 'orderInteraction',
+    'uploadInteraction', 'gapMatchInteraction', 'associateInteraction', 'hotspotInteraction',
+    'hottextInteraction', 'sliderInteraction', 'graphicGapMatchInteraction', 'drawingInteraction',
+    'mediaInteraction', 'customInteraction', 'positionObjectInteraction', 'selectPointInteraction',
+    'graphicOrderInteraction', 'graphicAssociateInteraction', 'inlineChoiceInteraction'
+];
+
+// Interactions this importer turns into questions
+const QTI_IMPORTED_INTERACTIONS = [
+    'choiceInteraction', 'textEntryInteraction', 'matchInteraction', 'extendedTextInteraction',
+    'orderInteraction', 'uploadInteraction', 'gapMatchInteraction'
+];
+
+// Body content that is not part of the question text
+const QTI_SKIPPED_ELEMENTS = ['feedbackInline', 'feedbackBlock', 'modalFeedback', 'rubricBlock', 'prompt'];
+
+// LOM difficulty vocabulary mapped back to SEU difficulty levels (see LOM_DIFFICULTY)
+const LOM_DIFFICULTY_LEVELS = { 'very easy': 'Low', easy: 'Low', medium: 'Mid', difficult: 'High', 'very difficult': 'High' };
+
+const TRUE_FALSE_LABELS = { true: ['true', 'صحيح', 'صح'], false: ['false', 'خطأ', 'خطا'] };
+
+// ============================================================================
+// XML HELPERS
+// ============================================================================
+
+/**
+ * Returns descendant elements with a local name, whatever namespace or prefix they use
+ * @param {Element|Document} parent - Element to search
+ * @param {string} name - Local name
+ * @returns {Array<Element>} - Matching elements in document order
+ */
+function getQTIElements(parent, name) {
+    return parent ? Array.from(parent.getElementsByTagNameNS('*', name)) : [];
+}
+
+/**
+ * Returns the direct child elements of an element with a local name
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {Array<Element>} - Matching child elements
+ */
+function getQTIChildren(parent, name) {
+    return Array.from(parent.childNodes).filter(node => node.nodeType === 1 && node.localName === name);
+}
+
+/**
+ * Reads the readable text of a QTI body fragment on a single line
+ * Interactions and feedback are left out; inline text entries and gaps are replaced by placeholders
+ * @param {Node} node - Element to read
+ * @param {Function} blankText - Receives a textEntryInteraction or gap and returns its placeholder
+ * @returns {string} - Collapsed text
+ */
+function getQTIText(node, blankText = () => '____') {
+    const read = current => {
+        if (current.nodeType === 3 || current.nodeType === 4) return current.nodeValue;
+        if (current.nodeType !== 1) return '';
+
+        const name = current.localName;
+        if (QTI_BLOCK_INTERACTIONS.includes(name) || QTI_SKIPPED_ELEMENTS.includes(name)) return '';
+        if (name === 'textEntryInteraction' || name === 'gap') return blankText(current);
+        if (name === 'br') return ' ';
+
+        const text = Array.from(current.childNodes).map(read).join('');
+        return ['p', 'div', 'li', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(name) ? ` ${text} ` : text;
+    };
+    return read(node).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the text inside an element that getQTIText itself leaves out (prompts, feedback)
+ * @param {Element} element - Element to read
+ * @returns {string} - Collapsed text
+ */
+function getQTIInnerText(element) {
+    return Array.from(element.childNodes).map(child => getQTIText(child)).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the values of a response declaration's correct response
+ * @param {Element} declaration - responseDeclaration element
+ * @returns {Array<string>} - Correct values
+ */
+function getQTICorrectValues(declaration) {
+    const correct = declaration ? getQTIChildren(declaration, 'correctResponse')[0] : null;
+    return correct ? getQTIChildren(correct, 'value').map(value => value.textContent.trim()) : [];
+}
+
+/**
+ * Reads the keys a response declaration's mapping scores above zero
+ * @param {Element} declaration - responseDeclaration element
+ * @returns {Array<string>} - Keys with a positive mapped value
+ */
+function getQTIMappedKeys(declaration) {
+    return getQTIElements(declaration, 'mapEntry')
+        .filter(entry => Number(entry.getAttribute('mappedValue')) > 0)
+        .map(entry => entry.getAttribute('mapKey'));
+}
+
+// ============================================================================
+// ITEM CONVERSION
+// ============================================================================
+
+/**
+ * Formats SEU metadata tags for the first line of an imported question
+ * @param {Object} metadata - { learningOutcomes, author, module, difficulty, points }
+ * @returns {string} - e.g. " (LO1) (Dr. Sara) [Module 2] [Difficulty Level: Mid] [Points: 2]"
+ */
+function formatSEUMetadata(metadata) {
+    const tags = (metadata.learningOutcomes || []).map(code => `(${code})`);
+    if (metadata.author) {
+        // Names without a title ("Dr.", "د.") would not be read back as an author
+        const tag = `(${metadata.author})`;
+        tags.push(extractSEUMetadata(tag).metadata.author ? tag : `(Author: ${metadata.author})`);
+    }
+    if (metadata.module !== null && metadata.module !== undefined) tags.push(`[Module ${metadata.module}]`);
+    if (metadata.difficulty) tags.push(`[Difficulty Level: ${metadata.difficulty}]`);
+    if (metadata.points !== null && metadata.points !== undefined) tags.push(`[Points: ${metadata.points}]`);
+    return tags.length > 0 ? ` ${tags.join(' ')}` : '';
+}
+
+/**
+ * Reads SEU metadata from a manifest resource's LOM (as written by generateItemMetadataXML)
+ * @param {Element|null} resource - The item's resource element in imsmanifest.xml
+ * @returns {Object} - { learningOutcomes, author, module, difficulty }
+ */
+function readQTIResourceMetadata(resource) {
+    const metadata = { learningOutcomes: [], author: null, module: null, difficulty: null };
+    if (!resource) return metadata;
+
+    getQTIElements(resource, 'keyword').forEach(keyword => {
+        const text = keyword.textContent.trim();
+        const moduleMatch = text.match(/^Module\s+(\d+)$/i);
+        const difficultyMatch = text.match(/^Difficulty\s+(Low|Mid|High)$/i);
+        if (moduleMatch) metadata.module = parseInt(moduleMatch[1], 10);
+        else if (difficultyMatch) metadata.difficulty = normalizeDifficulty(difficultyMatch[1]);
+    });
+
+    getQTIElements(resource, 'taxon').forEach(taxon => {
+        const id = normalizeOutcomeCode(getQTIChildren(taxon, 'id')[0]?.textContent || '');
+        if (/^C?LO\d+$/.test(id) && !metadata.learningOutcomes.includes(id)) {
+            metadata.learningOutcomes.push(id);
+        }
+    });
+
+    // The author's vCard, from the lifecycle contribution with the "author" role
+    getQTIElements(resource, 'contribute').forEach(contribute => {
+        const role = getQTIElements(contribute, 'role')[0];
+        const roleValue = role ? getQTIElements(role, 'value')[0]?.textContent.trim().toLowerCase() : '';
+        const entity = getQTIElements(contribute, 'entity')[0]?.textContent || '';
+        const name = entity.match(/^FN:(.*)$/m)?.[1].trim();
+        if (!metadata.author && roleValue === 'author' && name) metadata.author = name;
+    });
+
+    if (!metadata.difficulty) {
+        const difficulty = getQTIElements(resource, 'difficulty')[0];
+        const value = difficulty ? getQTIElements(difficulty, 'value')[0] : null;
+        metadata.difficulty = value ? LOM_DIFFICULTY_LEVELS[value.textContent.trim().toLowerCase()] || null : null;
+    }
+    return metadata;
+}
+
+/**
+ * Converts choice interaction answers into SEU lines and picks the tab
+ * @param {Element} interaction - choiceInteraction element
+ * @param {Element} declaration - Its responseDeclaration
+ * @returns {Object} - { tabKey, lines }
+ */
+function convertQTIChoiceInteraction(interaction, declaration) {
+    const choices = getQTIElements(interaction, 'simpleChoice').map(choice => ({
+        id: choice.getAttribute('identifier'),
+        text: getQTIText(choice)
+    }));
+    let correctIds = getQTICorrectValues(declaration);
+    if (correctIds.length === 0) {
+        correctIds = getQTIMappedKeys(declaration);
+    }
+
+    // Unscored choices are a survey scale
+    if (correctIds.length === 0) {
+        return { tabKey: 'op', lines: choices.map((choice, i) => `${CHOICE_LETTERS[i % CHOICE_LETTERS.length]}. ${choice.text}`) };
+    }
+
+    const labels = choices.map(choice => choice.text.toLowerCase());
+    const trueIndex = labels.findIndex(label => TRUE_FALSE_LABELS.true.includes(label));
+    const falseIndex = labels.findIndex(label => TRUE_FALSE_LABELS.false.includes(label));
+    if (choices.length === 2 && trueIndex !== -1 && falseIndex !== -1 && correctIds.length === 1) {
+        const isTrue = choices[trueIndex].id === correctIds[0];
+        return { tabKey: 'tf', lines: [isTrue ? 'True*' : 'True', isTrue ? 'False' : 'False*'] };
+    }
+
+    const maxChoices = parseInt(interaction.getAttribute('maxChoices'), 10);
+    const tabKey = correctIds.length > 1 || maxChoices !== 1 ? 'ma' : 'mcq';
+    if (choices.length > CHOICE_LETTERS.length) {
+        throw new Error(`more than ${CHOICE_LETTERS.length} choices`);
+    }
+    return {
+        tabKey,
+        lines: choices.map((choice, i) => `${CHOICE_LETTERS[i]}. ${choice.text}${correctIds.includes(choice.id) ? '*' : ''}`)
+    };
+}
+
+/**
+ * Converts match interaction pairs into "prompt => match" lines
+ * Targets that are never a correct match become "=> distractor" lines
+ * @param {Element} interaction - matchInteraction element
+ * @param {Element} declaration - Its responseDeclaration
+ * @returns {Object} - { tabKey, lines }
+ */
+function convertQTIMatchInteraction(interaction, declaration) {
+    const [sourceSet, targetSet] = getQTIChildren(interaction, 'simpleMatchSet');
+    if (!sourceSet || !targetSet) {
+        throw new Error('the match interaction needs two match sets');
+    }
+
+    const readChoices = set => getQTIChildren(set, 'simpleAssociableChoice').map(choice => ({
+        id: choice.getAttribute('identifier'),
+        text: getQTIText(choice)
+    }));
+    const sources = readChoices(sourceSet);
+    const targets = readChoices(targetSet);
+
+    const pairs = getQTICorrectValues(declaration).map(value => value.split(/\s+/));
+    const lines = [];
+    const usedTargets = new Set();
+    sources.forEach(source => {
+        const pair = pairs.find(([sourceId]) => sourceId === source.id);
+        const target = pair && targets.find(candidate => candidate.id === pair[1]);
+        if (target) {
+            lines.push(`${source.text} => ${target.text}`);
+            usedTargets.add(target.id);
+        }
+    });
+    if (lines.length === 0) {
+        throw new Error('the match interaction has no correct pairs');
+    }
+
+    targets.filter(target => !usedTargets.has(target.id)).forEach(target => {
+        lines.push(`=> ${target.text}`);
+    });
+    return { tabKey: 'mat', lines };
+}
+
+/**
+ * Converts a gap match interaction into a Jumbled Sentence: the sentence with its correct words
+ * in brackets, and the words that fill no gap as a word bank
+ * @param {Element} interaction - gapMatchInteraction element
+ * @param {Element} declaration - Its responseDeclaration
+ * @returns {Object} - { tabKey, sentence, lines }
+ */
+function convertQTIGapMatchInteraction(interaction, declaration) {
+    const words = getQTIChildren(interaction, 'gapText').map(word => ({
+        id: word.getAttribute('identifier'),
+        text: getQTIText(word)
+    }));
+    const pairs = getQTICorrectValues(declaration).map(value => value.split(/\s+/));
+    const usedWords = new Set();
+
+    const fillGap = gap => {
+        const pair = pairs.find(([, gapId]) => gapId === gap.getAttribute('identifier'));
+        const word = pair && words.find(candidate => candidate.id === pair[0]);
+        if (!word) {
+            throw new Error(`gap ${gap.getAttribute('identifier')} has no correct word`);
+        }
+        usedWords.add(word.id);
+        return `[${word.text}]`;
+    };
+    // The sentence is the interaction's content other than the words to drag
+    const sentence = Array.from(interaction.childNodes)
+        .filter(node => node.localName !== 'gapText')
+        .map(node => getQTIText(node, fillGap))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (usedWords.size === 0) {
+        throw new Error('the gap match interaction has no gaps');
+    }
+
+    const bank = words.filter(word => !usedWords.has(word.id)).map(word => word.text);
+    return { tabKey: 'jumbled', sentence, lines: bank.length > 0 ? [`Word bank: ${bank.join(' | ')}`] : [] };
+}
+
+/**
+ * Converts a single text entry into Fill in the Blank answers or a Numeric Response answer
+ * @param {Document} itemXML - Parsed item
+ * @param {Element} declaration - The entry's responseDeclaration
+ * @returns {Object} - { tabKey, lines }
+ */
+function convertQTITextEntry(itemXML, declaration) {
+    const baseType = declaration ? declaration.getAttribute('baseType') : 'string';
+    const correct = getQTICorrectValues(declaration);
+
+    if (baseType === 'float' || baseType === 'integer') {
+        if (!isNumericValue(correct[0] || '')) {
+            throw new Error('the numeric entry has no correct answer');
+        }
+        // Ranges are scored with gte/lte against two base values (see generateNumericXML)
+        const processing = getQTIElements(itemXML, 'responseProcessing')[0];
+        const lower = getQTIElements(processing, 'gte')[0];
+        const upper = getQTIElements(processing, 'lte')[0];
+        const min = lower ? getQTIElements(lower, 'baseValue')[0]?.textContent.trim() : null;
+        const max = upper ? getQTIElements(upper, 'baseValue')[0]?.textContent.trim() : null;
+        if (isNumericValue(min || '') && isNumericValue(max || '')) {
+            return { tabKey: 'num', lines: [`${min}..${max}`] };
+        }
+        return { tabKey: 'num', lines: [correct[0]] };
+    }
+
+    const answers = [...new Set([...correct, ...getQTIMappedKeys(declaration)])].filter(answer => answer !== '');
+    if (answers.length === 0) {
+        throw new Error('the text entry has no accepted answers');
+    }
+    return { tabKey: 'fib', lines: answers };
+}
+
+/**
+ * Converts one QTI 2.1 assessment item into an SEU-formatted question block
+ * @param {Document} itemXML - Parsed item file
+ * @param {Object} metadata - SEU metadata from the manifest (readQTIResourceMetadata)
+ * @param {Object} nextNumbers - Question number to use, keyed by tab key
+ * @returns {Object} - { tabKey, text }
+ */
+function convertQTIItem(itemXML, metadata, nextNumbers) {
+    const item = itemXML.documentElement;
+    if (!item || item.localName !== 'assessmentItem') {
+        throw new Error('not a QTI assessmentItem');
+    }
+    const body = getQTIElements(item, 'itemBody')[0];
+    if (!body) {
+        throw new Error('the item has no body');
+    }
+
+    const declarations = {};
+    getQTIElements(item, 'responseDeclaration').forEach(declaration => {
+        declarations[declaration.getAttribute('identifier')] = declaration;
+    });
+    const interactions = Array.from(body.getElementsByTagNameNS('*', '*'))
+        .filter(element => element.localName.endsWith('Interaction'));
+    const kinds = [...new Set(interactions.map(interaction => interaction.localName))];
+    const declarationFor = interaction => declarations[interaction.getAttribute('responseIdentifier')];
+
+    if (interactions.length === 0) {
+        throw new Error('the item has no interaction');
+    }
+    if (kinds.length > 1) {
+        throw new Error(`items combining ${kinds.join(' and ')} are not supported`);
+    }
+    if (interactions.length > 1 && kinds[0] !== 'textEntryInteraction') {
+        throw new Error(`items with several ${kinds[0]}s are not supported`);
+    }
+
+    if (!QTI_IMPORTED_INTERACTIONS.includes(kinds[0])) {
+        throw new Error(`unsupported interaction ${kinds[0]}`);
+    }
+
+    // Several text entries make a Fill in Multiple Blanks stem with [x1], [x2], ...
+    // A single entry inside the text becomes "____"; one placed after the text (as we export it) is dropped
+    const entries = kinds[0] === 'textEntryInteraction' ? interactions : [];
+    let stem = getQTIText(body, entry => {
+        if (entries.length > 1) return `[x${entries.indexOf(entry) + 1}]`;
+        return entry.parentNode === body ? '' : '____';
+    });
+    const prompt = getQTIElements(body, 'prompt').map(getQTIInnerText).join(' ');
+    stem = [stem, prompt].filter(part => part !== '').join(' ');
+
+    let result;
+    switch (kinds[0]) {
+        case 'choiceInteraction':
+            result = convertQTIChoiceInteraction(interactions[0], declarationFor(interactions[0]));
+            break;
+        case 'matchInteraction':
+            result = convertQTIMatchInteraction(interactions[0], declarationFor(interactions[0]));
+            break;
+        case 'textEntryInteraction':
+            if (entries.length === 1) {
+                result = convertQTITextEntry(itemXML, declarationFor(entries[0]));
+            } else {
+                result = {
+                    tabKey: 'fibPlus',
+                    lines: entries.map((entry, i) => {
+                        const declaration = declarationFor(entry);
+                        const answers = [...new Set([...getQTICorrectValues(declaration), ...getQTIMappedKeys(declaration)])];
+                        if (answers.length === 0) {
+                            throw new Error(`blank ${i + 1} has no accepted answers`);
+                        }
+                        return `x${i + 1}: ${answers.join(' | ')}`;
+                    })
+                };
+            }
+            break;
+        case 'extendedTextInteraction':
+            result = { tabKey: 'essay', lines: [] };
+            break;
+        case 'orderInteraction': {
+            const choices = getQTIElements(interactions[0], 'simpleChoice');
+            const order = getQTICorrectValues(declarationFor(interactions[0]));
+            const ordered = order.map(id => choices.find(choice => choice.getAttribute('identifier') === id)).filter(Boolean);
+            if (ordered.length === 0) {
+                throw new Error('the order interaction has no correct order');
+            }
+            result = { tabKey: 'ord', lines: ordered.map(choice => getQTIText(choice)) };
+            break;
+        }
+        case 'uploadInteraction':
+            result = { tabKey: 'fil', lines: [] };
+            break;
+        case 'gapMatchInteraction':
+            result = convertQTIGapMatchInteraction(interactions[0], declarationFor(interactions[0]));
+            break;
+        default:
+            throw new Error(`unsupported interaction ${kinds[0]}`);
+    }
+
+    // A gap match sentence is inside its interaction, after any text above it
+    if (result.sentence) {
+        stem = [stem, result.sentence].filter(part => part !== '').join(' ');
+    }
+    if (stem === '') {
+        throw new Error('the question text is empty');
+    }
+
+    // Point value, unless it matches what the tab would assign anyway
+    const maxScore = getQTIElements(item, 'outcomeDeclaration')
+        .find(declaration => declaration.getAttribute('identifier') === 'MAXSCORE');
+    const points = maxScore ? parseFloat(getQTIElements(maxScore, 'value')[0]?.textContent) : NaN;
+    const tabPoints = result.tabKey === 'op' ? null : getTabDefaultPoints(result.tabKey);
+    const firstLine = `${stem}${formatSEUMetadata({
+        ...metadata,
+        points: !Number.isNaN(points) && tabPoints !== null && points !== tabPoints ? points : null
+    })}`;
+
+    // Our own correct/incorrect modal feedback (see generateModalFeedbackXML)
+    const feedbackLines = [];
+    getQTIElements(item, 'modalFeedback').forEach(feedback => {
+        const text = getQTIInnerText(feedback);
+        if (feedback.getAttribute('identifier') === CORRECT_FEEDBACK_ID && text) feedbackLines.push(`Feedback+: ${text}`);
+        if (feedback.getAttribute('identifier') === INCORRECT_FEEDBACK_ID && text) feedbackLines.push(`Feedback-: ${text}`);
+    });
+
+    return {
+        tabKey: result.tabKey,
+        text: [`${nextNumbers[result.tabKey] || 1}. ${firstLine}`, ...result.lines, ...feedbackLines].join('\n')
+    };
+}
+
+// ============================================================================
+// PACKAGE READING
+// ============================================================================
+
+/**
+ * Resolves a manifest href against the folder holding imsmanifest.xml
+ * @param {string} base - Folder of the manifest ('' or ending in "/")
+ * @param {string} href - Relative href from the manifest
+ * @returns {string} - Path inside the zip
+ */
+function resolveQTIPackagePath(base, href) {
+    const parts = [];
+    `${base}${decodeURIComponent(href)}`.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.' && part !== '') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * Reads a QTI 2.1 package and converts every item the manifest lists
+ * @param {File|Blob} file - The zip package
+ * @param {Object} nextNumbers - First question number per tab key (getNextQuestionNumbers)
+ * @returns {Promise<Object>} - { grouped: { tabKey: [block] }, skipped: [{ item, reason }] }
+ */
+async function readQTIPackage(file, nextNumbers = {}) {
+    const zip = await JSZip.loadAsync(file);
+    const manifestPath = Object.keys(zip.files)
+        .filter(path => /(^|\/)imsmanifest\.xml$/i.test(path))
+        .sort((a, b) => a.length - b.length)[0];
+    if (!manifestPath) {
+        throw new Error('Not a content package (imsmanifest.xml is missing)');
+    }
+
+    const parser = new DOMParser();
+    const manifest = parser.parseFromString(await zip.file(manifestPath).async('string'), 'application/xml');
+    const base = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+    const resources = getQTIElements(manifest, 'resource')
+        .filter(resource => /^imsqti_item_xmlv2p/i.test(resource.getAttribute('type') || ''));
+    if (resources.length === 0) {
+        throw new Error('The package lists no QTI 2.1 items');
+    }
+
+    const numbers = { ...nextNumbers };
+    const grouped = {};
+    const skipped = [];
+    for (const resource of resources) {
+        const href = resource.getAttribute('href') || getQTIChildren(resource, 'file')[0]?.getAttribute('href') || '';
+        const itemFile = zip.file(resolveQTIPackagePath(base, href));
+        if (!itemFile) {
+            skipped.push({ item: href || resource.getAttribute('identifier'), reason: 'the item file is missing from the package' });
+            continue;
+        }
+
+        try {
+            const itemXML = parser.parseFromString(await itemFile.async('string'), 'application/xml');
+            if (getQTIElements(itemXML, 'parsererror').length > 0) {
+                throw new Error('the item is not well-formed XML');
+            }
+            const { tabKey, text } = convertQTIItem(itemXML, readQTIResourceMetadata(resource), numbers);
+            numbers[tabKey] = (numbers[tabKey] || 1) + 1;
+            (grouped[tabKey] = grouped[tabKey] || []).push(text);
+        } catch (error) {
+            skipped.push({ item: href, reason: error.message });
+        }
+    }
+
+    return { grouped, skipped };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Imports the QTI 2.1 package chosen in the file input
+ * @param {Event} event - Change event of the file input
+ */
+async function importQTI(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const { grouped, skipped } = await readQTIPackage(file, getNextQuestionNumbers());
+        const counts = appendQuestionsToTabs(grouped);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        if (skipped.length > 0) {
+            renderDiagnostics(skipped.map(entry => ({
+                severity: 'warning',
+                message: `${entry.item} was not imported: ${entry.reason}`
+            })));
+        }
+
+        if (total === 0) {
+            showNotification(`No supported questions found in ${file.name}.`, 'error', 5000);
+            return;
+        }
+
+        const skippedNote = skipped.length > 0 ? ` ${skipped.length} items were not imported; see the diagnostics below.` : '';
+        showNotification(`Imported ${total} questions from ${file.name}: ${describeImportCounts(counts)}.${skippedNote}`, skipped.length > 0 ? 'error' : 'success', 6000);
+    } catch (error) {
+        showNotification(`Import failed: ${error.message}`, 'error', 5000);
+        console.error('Import error:', error);
+    } finally {
+        // Allow importing the same file again
+        input.value = '';
+    }
+}
@@ -0,0 +1,1456 @@
+/**
+ * Question Parser Module
+ * Parses SEU-formatted question text into structured question objects.
+ * Every exporter (Blackboard TXT, QTI 2.1) serializes these objects, so the
+ * same input always produces the same questions and answers in every download.
+ *
+ * Question object shape:
+ * {
+ *   id: string,              // Unique identifier (used by QTI items)
+ *   type: string,            // One of QUESTION_TYPES
+ *   number: number|null,     // Source question number ("12. ..." -> 12)
+ *   stem: string,            // Question text without prefix or metadata
+ *   choices: Array,          // MC/MA: [{ id, text, isCorrect, feedback }] (feedback from "> rationale" lines)
+ *   correctAnswer: boolean,  // TF
+ *   answers: Array,          // FIB: accepted answers
+ *   blanks: Array,           // FIB_PLUS: [{ id, variable, answers }]
+ *   pairs: Array,            // MAT: [{ id, left, right }]
+ *   distractors: Array,      // MAT, JUMBLED_SENTENCE: extra right-hand answers / word bank entries
+ *   items: Array,            // ORD: [{ id, text }] in correct order
+ *   blanks: Array,           // JUMBLED_SENTENCE: [{ id, variable, answer }]
+ *   scale: Array,            // OP: [{ id, text }] scale points
+ *   answer, tolerance,       // NUM: tolerance is absolute ('' when exact)
+ *   range: Object,           // NUM: { min, max } accepted values, null when exact
+ *   metadata: Object,        // SEU metadata: { learningOutcomes, module, difficulty, author, points }
+ *   feedback: Object,        // { correct, incorrect } from "Feedback+:" / "Feedback-:" lines (null when absent)
+ *   points: number,          // Point value: the [Points: N] marker or the tab's default (set by parseQuestionTab)
+ *   warnings: Array<string>, // Suspicious but convertible input (shown as diagnostics)
+ *   source: { tab, startLine, endLine } // 1-based line range in the tab
+ * }
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const QUESTION_TYPES = {
+    MC: 'MC',      // Multiple Choice
+    MA: 'MA',      // Multiple Answer
+    TF: 'TF',      // True/False
+    ESS: 'ESS',    // Essay
+    MAT: 'MAT',    // Matching
+    FIB: 'FIB',    // Fill in the Blank
+    FIB_PLUS: 'FIB_PLUS', // Fill in Multiple Blanks
+    ORD: 'ORD',    // Ordering
+    JUMBLED_SENTENCE: 'JUMBLED_SENTENCE', // Jumbled Sentence
+    OP: 'OP',      // Opinion Scale / Likert
+    FIL: 'FIL',    // File Response
+    NUM: 'NUM'     // Numeric Response
+};
+
+// SEU Metadata Extractors - Specific patterns to preserve legitimate parentheses/brackets
+// These patterns match metadata in both English and Arabic
+// Each match is removed from the text; `field`/`value` record what it carried (null field = strip only)
+// Order matters: more specific patterns should be listed first
+const METADATA_EXTRACTORS = [
+    // Learning Outcomes (most specific first)
+    { field: 'learningOutcomes', pattern: /\(LO\d+\)/gi, value: m => normalizeOutcomeCode(m[0].slice(1, -1)) },   // Learning Outcome: (LO1), (LO2), etc.
+    { field: 'learningOutcomes', pattern: /\(CLO\d+\)/gi, value: m => normalizeOutcomeCode(m[0].slice(1, -1)) },  // Course Learning Outcome: (CLO1), etc.
+
+    // Module patterns
+    { field: 'module', pattern: /\[Module\s+(\d+)\]/gi, value: m => parseInt(m[1], 10) },     // Module: [Module 1], [Module 7], etc.
+    { field: 'module', pattern: /\[الوحدة\s+(\d+)\]/gi, value: m => parseInt(m[1], 10) },      // Module in Arabic: [الوحدة 1], etc.
+    { field: 'module', pattern: /\[Module\s*(\d+)\]/gi, value: m => parseInt(m[1], 10) },      // Module without space: [Module1]
+    { field: 'module', pattern: /\[الوحدة\s*(\d+)\]/gi, value: m => parseInt(m[1], 10) },      // Module in Arabic without space: [الوحدة1]
+
+    // Difficulty patterns
+    { field: 'difficulty', pattern: /\[Difficulty\s+Level?:\s*(Low|Mid|High)\]/gi, value: m => normalizeDifficulty(m[1]) }, // Difficulty: [Difficulty Level: Low] (handles typo "Leve")
+    { field: 'difficulty', pattern: /\[مستوى\s+الصعوبة:\s*(منخفض|متوسط|عالي|Low|Mid|High)\]/gi, value: m => normalizeDifficulty(m[1]) }, // Difficulty in Arabic
+
+    // Point value patterns
+    { field: 'points', pattern: /\[Points?:\s*(\d+(?:\.\d+)?)\]/gi, value: m => parseFloat(m[1]) },          // Points: [Points: 2], [Point: 0.5]
+    { field: 'points', pattern: /\[(?:الدرجة|الدرجات):\s*(\d+(?:\.\d+)?)\]/gi, value: m => parseFloat(m[1]) }, // Points in Arabic: [الدرجة: 2]
+
+    // Author patterns (more specific)
+    // Only whole, case-sensitive titles record an author, so "(hydrogen)" or an Arabic word with "د" is not one
+    { field: 'author', pattern: /\([^)]*(?:\bDr\b\.?|\bLa\.|\bAuthor\b|(?<![\u0600-\u06FF])(?:د\.|دكتور|المؤلف))[^)]*\)/g, value: m => m[0].slice(1, -1).trim() }, // Author names (English and Arabic)
+    { field: null, pattern: /\([^)]*(?:Dr\.|La\.|Dr|Author|د\.|دكتور|المؤلف)[^)]*\)/gi }, // Other author-like parentheses, stripped only
+    { field: null, pattern: /\([^)]*Dr[^)]*\)/gi },   // Any parentheses containing "Dr"
+    { field: null, pattern: /\([^)]*د[^)]*\)/gi },    // Any parentheses containing Arabic "د"
+
+    // General metadata patterns (less specific, catch-all)
+    // Only whole, case-sensitive outcome codes are recorded, so "(hello1)" is not LO1
+    { field: 'learningOutcomes', pattern: /\([^)]*\bC?LO\d+\b[^)]*\)/g, value: m => m[0].match(/\bC?LO\d+\b/g).map(normalizeOutcomeCode) }, // Parentheses listing outcome codes: (LO1, LO2)
+    { field: null, pattern: /\([^)]*(?:LO|CLO|Module|Difficulty|Level|Author)[^)]*\)/gi }, // Any other parentheses with metadata keywords, stripped only
+    { field: null, pattern: /\[[^\]]*(?:Module|Difficulty|Level|Author|وحدة|صعوبة|مستوى)[^\]]*\]/gi } // Any brackets with metadata keywords
+];
+
+// Arabic difficulty levels mapped to the English values stored on questions
+const DIFFICULTY_LEVELS = {
+    low: 'Low', mid: 'Mid', high: 'High',
+    'منخفض': 'Low', 'متوسط': 'Mid', 'عالي': 'High'
+};
+
+// Point value of questions without a [Points: N] marker, unless the tab sets its own
+const DEFAULT_POINTS = 1;
+
+// Feedback lines: "Feedback+: ..." (correct), "Feedback-: ..." (incorrect) and "> rationale" under a choice
+const FEEDBACK_PATTERNS = {
+    correct: /^(?:feedback\s*\+|correct\s+feedback|تغذية\s+راجعة\s*\+)\s*:\s*(.*)$/i,
+    incorrect: /^(?:feedback\s*-|incorrect\s+feedback|تغذية\s+راجعة\s*-)\s*:\s*(.*)$/i
+};
+const RATIONALE_PATTERN = /^>\s*(.*)$/;
+
+// Question types whose answers are graded by hand, so only Feedback+ (shown after submission) applies
+const MANUALLY_GRADED_TYPES = [QUESTION_TYPES.ESS, QUESTION_TYPES.FIL, QUESTION_TYPES.OP];
+
+// Question Numbering Patterns
+const QUESTION_PATTERNS = {
+    NUMBERED: /^\d+\.\s+/,                 // Numbered: "1. ", "19. "
+    LETTERED: /^[a-z\u0600-\u06FF]\)\s+/i  // Lettered: "a) ", "ب) ", "أ) " (supports English and Arabic letters)
+};
+
+// Choice letter prefix: "a.", "a)", "a ", "A.", "ب." etc.
+const CHOICE_PREFIX_PATTERN = /^[a-z\u0600-\u06FF]\)?\s*\.?\s*/i;
+
+// Fill in Multiple Blanks: "[x]" placeholders in the stem and "x: answer | alternative" lines
+const BLANK_VARIABLE_PATTERN = /\[([A-Za-z\u0600-\u06FF][\w\u0600-\u06FF-]*)\]/g;
+const BLANK_ANSWER_PATTERN = /^\[?([A-Za-z\u0600-\u06FF][\w\u0600-\u06FF-]*)\]?\s*[:=]\s*(.+)$/;
+
+// Matching pair separators, in order of precedence: "=>", tab, "|", " - "
+const MATCHING_SEPARATORS = [/\s*=>\s*/, /\s*\t\s*/, /\s*\|\s*/, /\s+-\s+/];
+// A matching line that starts with a separator is a right-hand distractor
+const MATCHING_DISTRACTOR_PATTERN = /^(?:=>|\||-)\s*/;
+
+// Numeric answers: "40..44" ranges and "42 ± 0.5" / "42 +/- 5%" tolerances
+const NUMERIC_RANGE_PATTERN = /^(\S+?)\s*\.\.\s*(\S+)$/;
+const NUMERIC_PLUS_MINUS_PATTERN = /^(\S+)\s*(?:±|\+\/-|\+-)\s*(\S+(?:\s*%)?)$/;
+
+// Explicit type tag at the start of a Mixed tab question ("1. [MA] Which ...") -> tab key
+const QUESTION_TYPE_TAG_PATTERN = /^\[(MCQ|MC|MA|TF|ESSAY|ESS|FIB\+|FIB_PLUS|FIB|MAT|NUM|ORD|JUMBLED|OP|FIL)\]\s*/i;
+const QUESTION_TYPE_TAGS = {
+    MC: 'mcq', MCQ: 'mcq', MA: 'ma', TF: 'tf', ESS: 'essay', ESSAY: 'essay',
+    FIB: 'fib', 'FIB+': 'fibPlus', FIB_PLUS: 'fibPlus', MAT: 'mat', NUM: 'num',
+    ORD: 'ord', JUMBLED: 'jumbled', OP: 'op', FIL: 'fil'
+};
+
+// A True/False option line such as "True", "b. False*"
+const TRUE_FALSE_OPTION_PATTERN = /^(?:[a-z][.)]\s+)?(?:true|false)\s*\*?$/i;
+
+// Ordering items may be lettered ("a.", "b)") but, unlike choices, the letter is optional
+const ORDER_ITEM_PREFIX_PATTERN = /^[a-z\u0600-\u06FF][.)]\s+/i;
+
+// Jumbled Sentence: "[word]" blanks in the sentence and a "Word bank: a | b" line
+const JUMBLED_WORD_PATTERN = /\[([^\[\]]+)\]/g;
+const WORD_BANK_PATTERN = /^(?:word\s*bank|words|بنك الكلمات)\s*:\s*(.*)$/i;
+
+// Opinion Scale points used when a question does not list its own
+const DEFAULT_OPINION_SCALE = {
+    en: ['Strongly Agree', 'Agree', 'Neither Agree nor Disagree', 'Disagree', 'Strongly Disagree'],
+    ar: ['أوافق بشدة', 'أوافق', 'محايد', 'لا أوافق', 'لا أوافق بشدة']
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Generates a unique identifier for questions and choices
+ * @returns {string} - A UUID string
+ */
+function generateUUID() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
+
+/**
+ * Normalizes an English or Arabic difficulty level to Low, Mid or High
+ * @param {string} level - The captured difficulty level
+ * @returns {string|null} - Normalized level
+ */
+function normalizeDifficulty(level) {
+    return DIFFICULTY_LEVELS[String(level).trim().toLowerCase()] || null;
+}
+
+/**
+ * Normalizes a learning outcome code to upper case without leading zeros ("clo01" becomes "CLO1")
+ * so the parser, the importers and the blueprint's course outcome list agree on every code
+ * @param {string} code - The captured outcome code
+ * @returns {string} - Normalized code
+ */
+function normalizeOutcomeCode(code) {
+    const [, prefix, number] = String(code).trim().match(/^(C?LO)(\d+)$/i) || [];
+    return prefix ? `${prefix.toUpperCase()}${parseInt(number, 10)}` : String(code).trim().toUpperCase();
+}
+
+/**
+ * Creates an empty SEU metadata record
+ * @returns {Object} - { learningOutcomes, module, difficulty, author }
+ */
+function createEmptyMetadata() {
+    return { learningOutcomes: [], module: null, difficulty: null, author: null, points: null };
+}
+
+/**
+ * Extracts SEU metadata from text and removes it using specific patterns
+ * Preserves legitimate parentheses and brackets in question text
+ * @param {string} text - The text to process
+ * @returns {Object} - { text, metadata } with metadata removed from text
+ */
+function extractSEUMetadata(text) {
+    const metadata = createEmptyMetadata();
+    if (!text || typeof text !== 'string') {
+        return { text: text || '', metadata };
+    }
+
+    const record = (field, value) => {
+        if (field === 'learningOutcomes') {
+            [].concat(value).forEach(code => {
+                if (code && !metadata.learningOutcomes.includes(code)) {
+                    metadata.learningOutcomes.push(code);
+                }
+            });
+        } else if (metadata[field] === null && value !== null && value !== '') {
+            // First occurrence wins for single-valued fields
+            metadata[field] = value;
+        }
+    };
+
+    let cleaned = text;
+
+    // Remove metadata patterns in order (most specific first)
+    // Run multiple passes to catch nested or overlapping patterns
+    let previousLength = cleaned.length;
+    let iterations = 0;
+    const maxIterations = 5; // Prevent infinite loops
+
+    do {
+        previousLength = cleaned.length;
+
+        // Array order ensures specific patterns run first
+        METADATA_EXTRACTORS.forEach(({ field, pattern, value }) => {
+            cleaned = cleaned.replace(pattern, (...match) => {
+                if (field) {
+                    record(field, value(match));
+                }
+                return '';
+            });
+        });
+
+        iterations++;
+    } while (cleaned.length !== previousLength && iterations < maxIterations);
+
+    // Clean up extra spaces (multiple spaces, tabs, newlines) and trim
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+    return { text: cleaned, metadata };
+}
+
+/**
+ * Strips SEU metadata from text
+ * Metadata is ALWAYS removed from converted questions for Blackboard
+ * @param {string} text - The text to process
+ * @returns {string} - Text with metadata removed
+ */
+function stripSEUMetadata(text) {
+    return extractSEUMetadata(text).text;
+}
+
+/**
+ * Extracts question number prefix (numbered or lettered)
+ * @param {string} text - The question text
+ * @returns {Object} - Object with prefix, cleaned text, prefix type and number
+ */
+function extractQuestionPrefix(text) {
+    let prefix = '';
+    let cleaned = text;
+
+    // Check for numbered format
+    const numberedMatch = text.match(QUESTION_PATTERNS.NUMBERED);
+    if (numberedMatch) {
+        prefix = numberedMatch[0];
+        cleaned = text.replace(QUESTION_PATTERNS.NUMBERED, '').trim();
+        return { prefix, cleaned, type: 'numbered', number: parseInt(prefix, 10) };
+    }
+
+    // Check for lettered format
+    const letteredMatch = text.match(QUESTION_PATTERNS.LETTERED);
+    if (letteredMatch) {
+        prefix = letteredMatch[0];
+        cleaned = text.replace(QUESTION_PATTERNS.LETTERED, '').trim();
+        return { prefix, cleaned, type: 'lettered', number: null };
+    }
+
+    return { prefix: '', cleaned: text.trim(), type: 'none', number: null };
+}
+
+/**
+ * Checks whether a line is a feedback or rationale line rather than question content
+ * @param {string} line - Trimmed line
+ * @returns {boolean} - True for "Feedback+:", "Feedback-:" and "> rationale" lines
+ */
+function isFeedbackLine(line) {
+    return FEEDBACK_PATTERNS.correct.test(line) || FEEDBACK_PATTERNS.incorrect.test(line) || RATIONALE_PATTERN.test(line);
+}
+
+/**
+ * Splits the raw lines of a question block into trimmed, non-empty lines
+ * Feedback lines are left out; extractFeedback reads them
+ * @param {string} text - The question block
+ * @returns {Array<string>} - Non-empty trimmed lines
+ */
+function splitBlockLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(line => line !== '' && !isFeedbackLine(line));
+}
+
+/**
+ * Reads the feedback lines of a question block
+ * Repeated lines of the same kind are joined with a space
+ * @param {string} text - Question block
+ * @returns {Object} - { correct, incorrect, rationales } where rationales[i] belongs to splitBlockLines(text)[i]
+ */
+function extractFeedback(text) {
+    const feedback = { correct: null, incorrect: null, rationales: [] };
+    const append = (current, addition) => (current ? `${current} ${addition}` : addition);
+    let contentIndex = -1;
+
+    text.split('\n').map(line => line.trim()).filter(line => line !== '').forEach(line => {
+        const correct = line.match(FEEDBACK_PATTERNS.correct);
+        const incorrect = line.match(FEEDBACK_PATTERNS.incorrect);
+        const rationale = line.match(RATIONALE_PATTERN);
+
+        if (correct) {
+            feedback.correct = append(feedback.correct, correct[1].trim());
+        } else if (incorrect) {
+            feedback.incorrect = append(feedback.incorrect, incorrect[1].trim());
+        } else if (rationale) {
+            // Rationales above the first choice stay at index 0 (the question line) so they can be reported
+            const index = Math.max(contentIndex, 0);
+            feedback.rationales[index] = append(feedback.rationales[index], rationale[1].trim());
+        } else {
+            contentIndex++;
+        }
+    });
+
+    return feedback;
+}
+
+/**
+ * Checks whether a string is a plain number ("42", "-0.5", "1e3")
+ * @param {string} value - The value to check
+ * @returns {boolean} - True if numeric
+ */
+function isNumericValue(value) {
+    return String(value).trim() !== '' && !isNaN(Number(value));
+}
+
+/**
+ * Rounds away floating point noise ("0.30000000000000004" -> "0.3")
+ * @param {number} value - Computed number
+ * @returns {string} - Number as text
+ */
+function formatNumericValue(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Reads a numeric answer with its tolerance
+ * Accepted forms: "42" with an optional "0.5" or "5%" tolerance line, "42 ± 0.5",
+ * "42 +/- 5%" and "40..44". Every form is normalized to an answer with an absolute
+ * tolerance (what Blackboard's NUM row expects) plus the accepted range
+ * @param {string} answerLine - Answer line (metadata already stripped)
+ * @param {string} toleranceLine - Optional tolerance line
+ * @returns {Object} - { answer, tolerance, range: { min, max } | null, warnings }
+ * @throws {Error} - When the answer or a range bound is not a number
+ */
+function parseNumericAnswer(answerLine, toleranceLine = '') {
+    const warnings = [];
+
+    const rangeMatch = answerLine.match(NUMERIC_RANGE_PATTERN);
+    if (rangeMatch && isNumericValue(rangeMatch[1]) && isNumericValue(rangeMatch[2])) {
+        let min = Number(rangeMatch[1]);
+        let max = Number(rangeMatch[2]);
+        if (min > max) {
+            warnings.push(`Range "${answerLine}" runs backwards; it was read as ${max}..${min}`);
+            [min, max] = [max, min];
+        }
+        if (toleranceLine) {
+            warnings.push(`Tolerance "${toleranceLine}" was ignored because the answer is a range`);
+        }
+        return {
+            answer: formatNumericValue((min + max) / 2),
+            tolerance: formatNumericValue((max - min) / 2),
+            range: { min: formatNumericValue(min), max: formatNumericValue(max) },
+            warnings
+        };
+    }
+
+    let answer = answerLine;
+    let toleranceText = toleranceLine;
+    const plusMinusMatch = answerLine.match(NUMERIC_PLUS_MINUS_PATTERN);
+    if (plusMinusMatch) {
+        answer = plusMinusMatch[1];
+        toleranceText = plusMinusMatch[2];
+        if (toleranceLine) {
+            warnings.push(`Tolerance "${toleranceLine}" was ignored because the answer already has one`);
+        }
+    }
+
+    // A range with a non-numeric bound ("a..5") also ends up here
+    if (!isNumericValue(answer)) {
+        throw new Error(`Answer "${answer}" is not a number`);
+    }
+
+    if (!toleranceText) {
+        return { answer, tolerance: '', range: null, warnings };
+    }
+
+    const percent = toleranceText.endsWith('%');
+    const amount = percent ? toleranceText.slice(0, -1).trim() : toleranceText;
+    if (!isNumericValue(amount) || Number(amount) < 0) {
+        warnings.push(`Tolerance "${toleranceText}" is not a positive number or percentage and was ignored`);
+        return { answer, tolerance: '', range: null, warnings };
+    }
+
+    const tolerance = percent
+        ? Math.abs(Number(answer)) * Number(amount) / 100
+        : Number(amount);
+    return {
+        answer,
+        tolerance: formatNumericValue(tolerance),
+        range: {
+            min: formatNumericValue(Number(answer) - tolerance),
+            max: formatNumericValue(Number(answer) + tolerance)
+        },
+        warnings
+    };
+}
+
+/**
+ * Builds the common fields shared by every question object
+ * SEU metadata is collected from the whole block, wherever the tags appear
+ * @param {string} type - One of QUESTION_TYPES
+ * @param {string} stem - Question text without prefix or metadata
+ * @param {number|null} number - Source question number
+ * @param {string} text - The raw question block
+ * @returns {Object} - Base question object
+ */
+function createQuestion(type, stem, number, text) {
+    const { correct, incorrect, rationales } = extractFeedback(text);
+    const warnings = [];
+
+    if (rationales.some(Boolean) && type !== QUESTION_TYPES.MC && type !== QUESTION_TYPES.MA) {
+        warnings.push('Choice rationales ("> ...") only apply to Multiple Choice and Multiple Answer options and were ignored');
+    } else if (rationales[0]) {
+        warnings.push('A rationale ("> ...") under the question line is not under a choice and was ignored; use Feedback+ or Feedback- for general feedback');
+    }
+    if (incorrect && MANUALLY_GRADED_TYPES.includes(type)) {
+        warnings.push('Feedback- was ignored because this question is graded manually; use Feedback+ for feedback shown after submission');
+    }
+
+    return {
+        id: generateUUID(),
+        type,
+        number: number ?? null,
+        stem,
+        metadata: extractSEUMetadata(text).metadata,
+        feedback: {
+            correct: correct ? stripSEUMetadata(correct) : null,
+            incorrect: incorrect && !MANUALLY_GRADED_TYPES.includes(type) ? stripSEUMetadata(incorrect) : null
+        },
+        warnings,
+        source: null
+    };
+}
+
+/**
+ * Parses lettered choice lines into choice objects ("b. Paris*")
+ * @param {Array<string>} lines - Choice lines (question line excluded)
+ * @param {Array<string>} rationales - Rationale per line, from extractFeedback (optional)
+ * @returns {Array<Object>} - Choices as { id, text, isCorrect, feedback }
+ */
+function parseChoiceLines(lines, rationales = []) {
+    const choices = [];
+    lines.forEach((line, index) => {
+        // Strip metadata from choice line
+        const choiceLine = stripSEUMetadata(line);
+
+        // Check for correct answer marker before processing
+        const isCorrect = choiceLine.includes('*');
+
+        // Remove letter prefix and asterisk
+        const text = choiceLine.replace(CHOICE_PREFIX_PATTERN, '').replace(/\*/g, '').trim();
+
+        // Skip empty choices
+        if (!text) return;
+
+        choices.push({ id: generateUUID(), text, isCorrect, feedback: rationales[index] || null });
+    });
+    return choices;
+}
+
+// ============================================================================
+// QUESTION PARSERS
+// ============================================================================
+
+/**
+ * Parses a Multiple Choice question
+ * Format: "1. [Question] (LO#) (Author) [Module #] [Difficulty Level: X]\na. [choice]\nb. [choice]*\n..."
+ * @param {string} text - The MCQ question block
+ * @returns {Object} - MC question object
+ */
+function parseMCQ(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 2) {
+            throw new Error('MCQ must have at least a question and one choice');
+        }
+
+        // Strip metadata from question line only
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('MCQ question text is required');
+        }
+
+        const choices = parseChoiceLines(rawLines.slice(1), extractFeedback(text).rationales.slice(1));
+
+        if (choices.length === 0) {
+            throw new Error('MCQ must have at least one choice');
+        }
+
+        const correctCount = choices.filter(c => c.isCorrect).length;
+        if (correctCount === 0) {
+            throw new Error('MCQ must have at least one correct answer');
+        }
+
+        const question = { ...createQuestion(QUESTION_TYPES.MC, stem, number, text), choices };
+        if (correctCount > 1) {
+            question.warnings.push(`MCQ has ${correctCount} answers marked with *; use the Multiple Answer tab for several correct answers`);
+        }
+        return question;
+    } catch (error) {
+        throw new Error(`MCQ parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses an Essay question
+ * Supports both numbered "1. [Question]" and lettered "a) [Question]" formats
+ * @param {string} text - The Essay question block
+ * @returns {Object} - ESS question object
+ */
+function parseEssay(text) {
+    try {
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(splitBlockLines(text).join('\n')));
+
+        if (!stem) {
+            throw new Error('Essay question text is required');
+        }
+
+        return createQuestion(QUESTION_TYPES.ESS, stem, number, text);
+    } catch (error) {
+        throw new Error(`Essay parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a True/False question
+ * Format: "1. [Question] (LO#) ...\nTrue*\nFalse" or "1. [Question] ...\nFalse*\nTrue"
+ * The first starred True/False line decides the answer; defaults to false.
+ * @param {string} text - The T/F question block
+ * @returns {Object} - TF question object
+ */
+function parseTrueFalse(text) {
+    try {
+        const lines = splitBlockLines(text).map(stripSEUMetadata).filter(line => line !== '');
+
+        if (lines.length < 1) {
+            throw new Error('True/False question text is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(lines[0]);
+
+        if (!stem) {
+            throw new Error('True/False question text is required');
+        }
+
+        let correctAnswer = false;
+        let marked = false;
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].toLowerCase();
+            if (line.includes('true') && lines[i].includes('*')) {
+                correctAnswer = true;
+                marked = true;
+                break;
+            } else if (line.includes('false') && lines[i].includes('*')) {
+                correctAnswer = false;
+                marked = true;
+                break;
+            }
+        }
+
+        const question = { ...createQuestion(QUESTION_TYPES.TF, stem, number, text), correctAnswer };
+        if (!marked) {
+            question.warnings.push('No True/False option is marked with *; the answer defaults to False');
+        }
+        return question;
+    } catch (error) {
+        throw new Error(`True/False parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a Fill in the Blank question
+ * Format: "1. [Question] (LO#) ...\n[answer1]\n[answer2]\n..."
+ * @param {string} text - The FIB question block
+ * @returns {Object} - FIB question object
+ */
+function parseFillInBlank(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 1) {
+            throw new Error('Fill in the Blank question text is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('Fill in the Blank question text is required');
+        }
+
+        const answers = rawLines.slice(1).map(stripSEUMetadata).filter(answer => answer !== '');
+
+        if (answers.length === 0) {
+            throw new Error('Fill in the Blank must have at least one answer');
+        }
+
+        return { ...createQuestion(QUESTION_TYPES.FIB, stem, number, text), answers };
+    } catch (error) {
+        throw new Error(`Fill in the Blank parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a Multiple Answer question
+ * Format: Similar to MCQ but allows multiple correct answers
+ * @param {string} text - The MA question block
+ * @returns {Object} - MA question object
+ */
+function parseMultipleAnswer(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 2) {
+            throw new Error('Multiple Answer must have at least a question and one choice');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('Multiple Answer question text is required');
+        }
+
+        const choices = parseChoiceLines(rawLines.slice(1), extractFeedback(text).rationales.slice(1));
+
+        if (choices.length === 0) {
+            throw new Error('Multiple Answer must have at least one choice');
+        }
+
+        if (choices.filter(c => c.isCorrect).length === 0) {
+            throw new Error('Multiple Answer must have at least one correct answer');
+        }
+
+        return { ...createQuestion(QUESTION_TYPES.MA, stem, number, text), choices };
+    } catch (error) {
+        throw new Error(`Multiple Answer parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Splits a matching line into its prompt and answer at the first explicit separator
+ * Separators, in order of precedence: "=>", tab, "|", " - "
+ * A line that starts with a separator ("=> Paris") and has none after it is a distractor
+ * @param {string} line - Trimmed matching line (metadata not yet stripped)
+ * @returns {Object|null} - { left, right } or null when the line has no separator
+ */
+function splitMatchingPair(line) {
+    // A leading marker followed by a whole pair is a bullet ("- A => 1"), not a distractor
+    const leading = line.match(MATCHING_DISTRACTOR_PATTERN);
+    const rest = leading ? line.slice(leading[0].length) : line;
+
+    for (const separator of MATCHING_SEPARATORS) {
+        const match = rest.match(separator);
+        if (match) {
+            return {
+                left: stripSEUMetadata(rest.slice(0, match.index)),
+                right: stripSEUMetadata(rest.slice(match.index + match[0].length))
+            };
+        }
+    }
+    return leading ? { left: '', right: stripSEUMetadata(rest) } : null;
+}
+
+/**
+ * Parses a Matching question
+ * Format: "1. [Question] (LO#) ...\n[prompt1] => [answer1]\n[prompt2] | [answer2]\n=> [distractor]..."
+ * Lines without a separator fall back to "first word => rest of line"
+ * @param {string} text - The MAT question block
+ * @returns {Object} - MAT question object
+ */
+function parseMatching(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 2) {
+            throw new Error('Matching must have at least a question and one answer pair');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('Matching question text is required');
+        }
+
+        const pairs = [];
+        const distractors = [];
+        const warnings = [];
+        rawLines.slice(1).forEach(rawLine => {
+            const line = stripSEUMetadata(rawLine);
+            if (!line) return;
+
+            const split = splitMatchingPair(rawLine);
+            if (!split) {
+                const parts = line.split(' ');
+                if (parts.length >= 2) {
+                    pairs.push({ id: generateUUID(), left: parts[0], right: parts.slice(1).join(' ') });
+                    warnings.push(`Line "${line}" has no separator (=>, |, tab or " - "), so "${parts[0]}" was used as the prompt`);
+                } else {
+                    warnings.push(`Line "${line}" has no matching pair and was ignored`);
+                }
+                return;
+            }
+
+            if (!split.right) {
+                warnings.push(`Line "${line}" has no answer after the separator and was ignored`);
+            } else if (!split.left) {
+                distractors.push(split.right);
+            } else {
+                pairs.push({ id: generateUUID(), left: split.left, right: split.right });
+            }
+        });
+
+        if (pairs.length === 0) {
+            throw new Error('Matching must have at least one answer pair');
+        }
+
+        if (distractors.length > 0) {
+            warnings.push('Distractors are only included in the QTI export; Blackboard TXT matching questions cannot hold them');
+        }
+
+        const question = { ...createQuestion(QUESTION_TYPES.MAT, stem, number, text), pairs, distractors };
+        question.warnings.push(...warnings);
+        return question;
+    } catch (error) {
+        throw new Error(`Matching parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses an Ordering question
+ * Format: "1. [Question] (LO#) ...\na. [first item]\nb. [second item]\n..." (items in correct order, letters optional)
+ * @param {string} text - The ORD question block
+ * @returns {Object} - ORD question object
+ */
+function parseOrdering(text) {
+    try {
+        const lines = splitBlockLines(text).map(stripSEUMetadata).filter(line => line !== '');
+
+        if (lines.length < 1) {
+            throw new Error('Ordering question text is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(lines[0]);
+
+        if (!stem) {
+            throw new Error('Ordering question text is required');
+        }
+
+        const items = lines.slice(1)
+            .map(line => line.replace(ORDER_ITEM_PREFIX_PATTERN, '').trim())
+            .filter(line => line !== '')
+            .map(itemText => ({ id: generateUUID(), text: itemText }));
+
+        if (items.length < 2) {
+            throw new Error('Ordering must have at least 2 items');
+        }
+
+        return { ...createQuestion(QUESTION_TYPES.ORD, stem, number, text), items };
+    } catch (error) {
+        throw new Error(`Ordering parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a Jumbled Sentence question
+ * Format: "1. The [quick] brown [fox] jumps. (LO#) ...\nWord bank: slow | cat" (word bank optional)
+ * Bracketed words become blanks named [x1], [x2], ... in the stem; word bank entries that
+ * are not correct words become distractors
+ * @param {string} text - The JUMBLED_SENTENCE question block
+ * @returns {Object} - JUMBLED_SENTENCE question object
+ */
+function parseJumbledSentence(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 1) {
+            throw new Error('Jumbled Sentence text is required');
+        }
+
+        const { cleaned: sentence, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!sentence) {
+            throw new Error('Jumbled Sentence text is required');
+        }
+
+        const blanks = [];
+        const stem = sentence.replace(JUMBLED_WORD_PATTERN, (match, word) => {
+            const variable = `x${blanks.length + 1}`;
+            blanks.push({ id: generateUUID(), variable, answer: word.trim() });
+            return `[${variable}]`;
+        });
+
+        if (blanks.length === 0) {
+            throw new Error('Jumbled Sentence must contain at least one [word] in brackets');
+        }
+
+        const distractors = [];
+        const warnings = [];
+        rawLines.slice(1).map(stripSEUMetadata).filter(line => line !== '').forEach(line => {
+            const match = line.match(WORD_BANK_PATTERN);
+            if (!match) {
+                warnings.push(`Line "${line}" is not a "Word bank:" line and was ignored`);
+                return;
+            }
+            match[1].split('|').map(word => word.trim()).filter(word => word !== '').forEach(word => {
+                if (!blanks.some(blank => blank.answer === word) && !distractors.includes(word)) {
+                    distractors.push(word);
+                }
+            });
+        });
+
+        const question = { ...createQuestion(QUESTION_TYPES.JUMBLED_SENTENCE, stem, number, text), blanks, distractors };
+        question.warnings.push(...warnings);
+        return question;
+    } catch (error) {
+        throw new Error(`Jumbled Sentence parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses an Opinion Scale (Likert) question
+ * Format: "1. [Statement] (LO#) ...\na. [scale point]\nb. [scale point]..." (scale points optional)
+ * Without scale points the default 5-point agreement scale is used, in Arabic for Arabic statements
+ * @param {string} text - The OP question block
+ * @returns {Object} - OP question object
+ */
+function parseOpinionScale(text) {
+    try {
+        const lines = splitBlockLines(text).map(stripSEUMetadata).filter(line => line !== '');
+
+        if (lines.length < 1) {
+            throw new Error('Opinion Scale statement is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(lines[0]);
+
+        if (!stem) {
+            throw new Error('Opinion Scale statement is required');
+        }
+
+        let scaleLabels = lines.slice(1)
+            .map(line => line.replace(ORDER_ITEM_PREFIX_PATTERN, '').trim())
+            .filter(line => line !== '');
+
+        if (scaleLabels.length === 1) {
+            throw new Error('A custom scale must have at least 2 points');
+        }
+
+        const warnings = [];
+        if (scaleLabels.length === 0) {
+            scaleLabels = /[\u0600-\u06FF]/.test(stem) ? DEFAULT_OPINION_SCALE.ar : DEFAULT_OPINION_SCALE.en;
+        } else {
+            warnings.push('A custom scale is only included in the QTI export; Blackboard TXT opinion scale questions use Blackboard\'s own agreement scale');
+        }
+
+        const scale = scaleLabels.map(label => ({ id: generateUUID(), text: label }));
+        const question = { ...createQuestion(QUESTION_TYPES.OP, stem, number, text), scale };
+        question.warnings.push(...warnings);
+        return question;
+    } catch (error) {
+        throw new Error(`Opinion Scale parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a File Response question
+ * Format: "1. [Question] (LO#) (Author) [Module #] [Difficulty Level: X]"
+ * @param {string} text - The FIL question block
+ * @returns {Object} - FIL question object
+ */
+function parseFileResponse(text) {
+    try {
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(splitBlockLines(text).join('\n')));
+
+        if (!stem) {
+            throw new Error('File Response question text is required');
+        }
+
+        return createQuestion(QUESTION_TYPES.FIL, stem, number, text);
+    } catch (error) {
+        throw new Error(`File Response parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a Numeric Response question
+ * Format: "1. [Question] (LO#) ...\n[answer]\n[tolerance]" (tolerance optional)
+ * The answer may also be written as "42 ± 0.5", "42 +/- 5%" or a "40..44" range,
+ * and the tolerance line may be a percentage of the answer ("5%")
+ * @param {string} text - The NUM question block
+ * @returns {Object} - NUM question object
+ */
+function parseNumericResponse(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 1) {
+            throw new Error('Numeric Response question text is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('Numeric Response question text is required');
+        }
+
+        // Answer on the second line, optional tolerance on the third
+        const answerLine = rawLines.length > 1 ? stripSEUMetadata(rawLines[1]) : '';
+        const toleranceLine = rawLines.length > 2 ? stripSEUMetadata(rawLines[2]) : '';
+
+        if (!answerLine) {
+            throw new Error('Numeric Response must have an answer');
+        }
+
+        const { answer, tolerance, range, warnings } = parseNumericAnswer(answerLine, toleranceLine);
+        const question = { ...createQuestion(QUESTION_TYPES.NUM, stem, number, text), answer, tolerance, range };
+        question.warnings.push(...warnings);
+        return question;
+    } catch (error) {
+        throw new Error(`Numeric Response parsing error: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a Fill in Multiple Blanks question
+ * Format: "1. The capital of [x] is [y]. (LO#) ...\nx: France | france\ny: Paris"
+ * Each blank variable lists its accepted answers separated by "|"
+ * @param {string} text - The FIB_PLUS question block
+ * @returns {Object} - FIB_PLUS question object
+ */
+function parseFillInMultipleBlanks(text) {
+    try {
+        const rawLines = splitBlockLines(text);
+
+        if (rawLines.length < 1) {
+            throw new Error('Fill in Multiple Blanks question text is required');
+        }
+
+        const { cleaned: stem, number } = extractQuestionPrefix(stripSEUMetadata(rawLines[0]));
+
+        if (!stem) {
+            throw new Error('Fill in Multiple Blanks question text is required');
+        }
+
+        // Blanks in the order they appear in the stem
+        const blanks = [];
+        for (const match of stem.matchAll(BLANK_VARIABLE_PATTERN)) {
+            if (!blanks.some(blank => blank.variable === match[1])) {
+                blanks.push({ id: generateUUID(), variable: match[1], answers: [] });
+            }
+        }
+
+        if (blanks.length === 0) {
+            throw new Error('Fill in Multiple Blanks question must contain at least one blank such as [x]');
+        }
+
+        const warnings = [];
+        rawLines.slice(1).map(stripSEUMetadata).filter(line => line !== '').forEach(line => {
+            const match = line.match(BLANK_ANSWER_PATTERN);
+            if (!match) {
+                warnings.push(`Line "${line}" is not in the "x: answer | alternative" format and was ignored`);
+                return;
+            }
+            const blank = blanks.find(b => b.variable === match[1]);
+            if (!blank) {
+                warnings.push(`Answers for [${match[1]}] were ignored because the question has no [${match[1]}] blank`);
+                return;
+            }
+            match[2].split('|').map(answer => answer.trim()).filter(answer => answer !== '').forEach(answer => {
+                blank.answers.push(answer);
+            });
+        });
+
+        const missing = blanks.filter(blank => blank.answers.length === 0);
+        if (missing.length > 0) {
+            throw new Error(`Blank ${missing.map(blank => `[${blank.variable}]`).join(', ')} has no accepted answers`);
+        }
+
+        const question = { ...createQuestion(QUESTION_TYPES.FIB_PLUS, stem, number, text), blanks };
+        question.warnings.push(...warnings);
+        return question;
+    } catch (error) {
+        throw new Error(`Fill in Multiple Blanks parsing error: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// QUESTION TABS
+// ============================================================================
+
+// One entry per input tab. `key` prefixes the textarea (`${key}Text`) and
+// counter (`${key}Counter`) ids; `labelKey` is the tab's translation key;
+// `lettered` tabs also split on "a) " prefixes. The Mixed tab has no single
+// type: each of its blocks is classified (see parseMixedQuestion).
+const QUESTION_TABS = [
+    { key: 'mcq', tabId: 'MCQ', label: 'MCQ', labelKey: 'mcqTab', type: QUESTION_TYPES.MC, parser: parseMCQ, lettered: false },
+    { key: 'essay', tabId: 'Essay', label: 'Essay', labelKey: 'essayTab', type: QUESTION_TYPES.ESS, parser: parseEssay, lettered: true },
+    { key: 'tf', tabId: 'TrueFalse', label: 'True/False', labelKey: 'trueFalseTab', type: QUESTION_TYPES.TF, parser: parseTrueFalse, lettered: false },
+    { key: 'fib', tabId: 'FIB', label: 'Fill in the Blank', labelKey: 'fillBlankTab', type: QUESTION_TYPES.FIB, parser: parseFillInBlank, lettered: false },
+    { key: 'ma', tabId: 'MA', label: 'Multiple Answer', labelKey: 'multipleAnswerTab', type: QUESTION_TYPES.MA, parser: parseMultipleAnswer, lettered: false },
+    { key: 'mat', tabId: 'MAT', label: 'Matching', labelKey: 'matchingTab', type: QUESTION_TYPES.MAT, parser: parseMatching, lettered: false },
+    { key: 'num', tabId: 'NUM', label: 'Numeric Response', labelKey: 'numericTab', type: QUESTION_TYPES.NUM, parser: parseNumericResponse, lettered: false },
+    { key: 'fibPlus', tabId: 'FIBPLUS', label: 'Fill in Multiple Blanks', labelKey: 'fillMultipleBlanksTab', type: QUESTION_TYPES.FIB_PLUS, parser: parseFillInMultipleBlanks, lettered: false },
+    { key: 'ord', tabId: 'ORD', label: 'Ordering', labelKey: 'orderingTab', type: QUESTION_TYPES.ORD, parser: parseOrdering, lettered: false },
+    { key: 'jumbled', tabId: 'JUMBLED', label: 'Jumbled Sentence', labelKey: 'jumbledTab', type: QUESTION_TYPES.JUMBLED_SENTENCE, parser: parseJumbledSentence, lettered: false },
+    { key: 'op', tabId: 'OP', label: 'Opinion Scale', labelKey: 'opinionTab', type: QUESTION_TYPES.OP, parser: parseOpinionScale, lettered: false },
+    { key: 'fil', tabId: 'FIL', label: 'File Response', labelKey: 'fileResponseTab', type: QUESTION_TYPES.FIL, parser: parseFileResponse, lettered: false },
+    { key: 'mixed', tabId: 'MIXED', label: 'Mixed', labelKey: 'mixedTab', type: null, parser: parseMixedQuestion, lettered: false }
+];
+
+/**
+ * Finds a question tab definition by its key
+ * @param {string} key - Tab key ('mcq', 'essay', ...)
+ * @returns {Object|undefined} - The tab definition
+ */
+function getQuestionTab(key) {
+    return QUESTION_TABS.find(tab => tab.key === key);
+}
+
+/**
+ * Splits tab text into question blocks, keeping each block's line range
+ * A new block starts at every line beginning with "N. " (and "a) " when lettered)
+ * @param {string} text - The full textarea content
+ * @param {boolean} lettered - Whether lettered prefixes also start a block
+ * @returns {Array<Object>} - Blocks as { text, startLine, endLine } (1-based, inclusive)
+ */
+function splitQuestionBlocks(text, lettered = false) {
+    if (!text || text.trim() === '') return [];
+
+    const startPattern = lettered ? /^(?:\d+\.\s+|[a-z\u0600-\u06FF]\)\s+)/i : QUESTION_PATTERNS.NUMBERED;
+    const lines = text.split('\n');
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((line, index) => {
+        if (!current || (index > 0 && startPattern.test(line))) {
+            current = { lines: [], firstIndex: index };
+            blocks.push(current);
+        }
+        current.lines.push(line);
+    });
+
+    return blocks
+        .filter(block => block.lines.join('\n').trim() !== '')
+        .map(block => {
+            const firstContent = block.lines.findIndex(line => line.trim() !== '');
+            let lastContent = block.lines.length - 1;
+            while (lastContent > firstContent && block.lines[lastContent].trim() === '') {
+                lastContent--;
+            }
+            return {
+                text: block.lines.join('\n').trim(),
+                startLine: block.firstIndex + firstContent + 1,
+                endLine: block.firstIndex + lastContent + 1
+            };
+        });
+}
+
+/**
+ * Builds a diagnostic entry for a question block
+ * @param {Object} tab - Entry from QUESTION_TABS
+ * @param {Object} block - Block from splitQuestionBlocks
+ * @param {number} index - Block index within the tab
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - The parser's message
+ * @returns {Object} - { tab, label, labelKey, index, number, startLine, endLine, severity, message }
+ */
+function createDiagnostic(tab, block, index, severity, message) {
+    return {
+        tab: tab.key,
+        label: tab.label,
+        labelKey: tab.labelKey,
+        index,
+        number: extractQuestionPrefix(block.text).number,
+        startLine: block.startLine,
+        endLine: block.endLine,
+        severity,
+        // Drop the "<Type> parsing error: " wrapper; the tab already names the type
+        message: message.replace(/^[^:]+ parsing error: /, '')
+    };
+}
+
+/**
+ * Builds a diagnostic entry for an already parsed question (e.g. an exporter skipping it)
+ * @param {Object} question - Question object with its source set by parseQuestionTab
+ * @param {number} index - Position of the question within its tab
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - The message to show
+ * @returns {Object} - Diagnostic in the createDiagnostic shape
+ */
+function createQuestionDiagnostic(question, index, severity, message) {
+    const tab = getQuestionTab(question.source.tab);
+    return {
+        tab: tab.key,
+        label: tab.label,
+        labelKey: tab.labelKey,
+        index,
+        number: question.number,
+        startLine: question.source.startLine,
+        endLine: question.source.endLine,
+        severity,
+        message
+    };
+}
+
+/**
+ * Turns export notes into diagnostics that jump to the question
+ * @param {Array<Object>} notes - [{ question, reason }]
+ * @param {Array<Object>} questions - Every parsed question, to number the diagnostics per tab
+ * @returns {Array<Object>} - Warning diagnostics
+ */
+function describeExportNotes(notes, questions) {
+    return notes.map(({ question, reason }) => {
+        const index = questions
+            .filter(other => other.source?.tab === question.source?.tab)
+            .indexOf(question);
+        return createQuestionDiagnostic(question, index, 'warning', reason);
+    });
+}
+
+/**
+ * Parses every question block of one tab
+ * Failed blocks are collected as errors instead of aborting the tab
+ * @param {Object} tab - Entry from QUESTION_TABS
+ * @param {string} text - The textarea content
+ * @param {number} defaultPoints - Points for questions without a [Points: N] marker
+ * @returns {Object} - { questions, errors, warnings } where errors and warnings are diagnostics
+ */
+function parseQuestionTab(tab, text, defaultPoints = DEFAULT_POINTS) {
+    const questions = [];
+    const errors = [];
+    const warnings = [];
+
+    splitQuestionBlocks(text, tab.lettered).forEach((block, index) => {
+        try {
+            const question = tab.parser(block.text);
+            question.source = { tab: tab.key, startLine: block.startLine, endLine: block.endLine };
+            question.points = question.metadata.points ?? defaultPoints;
+            questions.push(question);
+            question.warnings.forEach(message => {
+                warnings.push(createDiagnostic(tab, block, index, 'warning', message));
+            });
+        } catch (error) {
+            errors.push(createDiagnostic(tab, block, index, 'error', error.message));
+        }
+    });
+
+    return { questions, errors, warnings };
+}
+
+/**
+ * Reads a tab's default point value from its points input
+ * @param {string} tabKey - Tab key ('mcq', 'essay', ...)
+ * @returns {number} - Default points (DEFAULT_POINTS when unset or invalid)
+ */
+function getTabDefaultPoints(tabKey) {
+    const value = parseFloat(document.getElementById(`${tabKey}DefaultPoints`)?.value);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_POINTS;
+}
+
+/**
+ * Reads and parses every question tab from the page
+ * @returns {Object} - { questions, errors, warnings, tabs } with per-tab results keyed by tab key
+ */
+function parseAllTabs() {
+    const questions = [];
+    const errors = [];
+    const warnings = [];
+    const tabs = {};
+
+    QUESTION_TABS.forEach(tab => {
+        const text = document.getElementById(`${tab.key}Text`)?.value || '';
+        const result = parseQuestionTab(tab, text, getTabDefaultPoints(tab.key));
+        tabs[tab.key] = result;
+        questions.push(...result.questions);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+
+    return { questions, errors, warnings, tabs };
+}
+
+// ============================================================================
+// OUTPUT ORDER
+// ============================================================================
+
+// Output orders offered in the export settings
+const QUESTION_ORDERS = {
+    TYPE: 'type',     // Tab order: every MCQ, then every Essay, ...
+    NUMBER: 'number', // Source document order, from the question numbers
+    MODULE: 'module'  // By [Module N], in source order within each module
+};
+
+// Ascending comparison that puts missing values (no number, no module) last
+function compareOptionalNumbers(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a - b;
+}
+
+/**
+ * Sorts parsed questions into the output order picked in the export settings
+ * The sort is stable, so questions that tie keep their tab order
+ * @param {Array<Object>} questions - Questions in tab order (as parseAllTabs returns them)
+ * @param {string} order - One of QUESTION_ORDERS
+ * @returns {Array<Object>} - A new, sorted array
+ */
+function orderQuestions(questions, order = QUESTION_ORDERS.TYPE) {
+    const sorted = [...questions];
+    if (order === QUESTION_ORDERS.NUMBER) {
+        sorted.sort((a, b) => compareOptionalNumbers(a.number, b.number));
+    } else if (order === QUESTION_ORDERS.MODULE) {
+        sorted.sort((a, b) => compareOptionalNumbers(a.metadata?.module, b.metadata?.module)
+            || compareOptionalNumbers(a.number, b.number));
+    }
+    return sorted;
+}
+
+// ============================================================================
+// QUESTION POOLS
+// ============================================================================
+
+// Pool groupings offered in the export settings
+const POOL_GROUPINGS = {
+    NONE: 'none',            // One pool with every question
+    MODULE: 'module',        // A pool per [Module N]
+    OUTCOME: 'outcome',      // A pool per (CLO#), by the question's first outcome
+    DIFFICULTY: 'difficulty' // A pool per [Difficulty Level: X]
+};
+
+// Pool order of the normalized difficulty levels (see DIFFICULTY_LEVELS)
+const DIFFICULTY_ORDER = ['Low', 'Mid', 'High'];
+
+/**
+ * Reads the tag a question is pooled by
+ * A question with several outcomes goes in the pool of its first one, so random blocks never draw it twice
+ * @param {Object} question - Question object
+ * @param {string} grouping - One of POOL_GROUPINGS
+ * @returns {number|string|null} - Module number, outcome code or difficulty; null when the tag is missing
+ */
+function getPoolKey(question, grouping) {
+    const metadata = question.metadata || {};
+    switch (grouping) {
+        case POOL_GROUPINGS.MODULE:
+            return metadata.module ?? null;
+        case POOL_GROUPINGS.OUTCOME:
+            return metadata.learningOutcomes?.[0] || null;
+        case POOL_GROUPINGS.DIFFICULTY:
+            return metadata.difficulty || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Names a pool after its tag ("Module 2", "CLO3", "Difficulty: Low")
+ * @param {number|string|null} key - Value from getPoolKey
+ * @param {string} grouping - One of POOL_GROUPINGS
+ * @returns {string} - Pool label
+ */
+function getPoolLabel(key, grouping) {
+    switch (grouping) {
+        case POOL_GROUPINGS.MODULE:
+            return key === null ? 'No module' : `Module ${key}`;
+        case POOL_GROUPINGS.OUTCOME:
+            return key === null ? 'No learning outcome' : key;
+        default:
+            return key === null ? 'No difficulty' : `Difficulty: ${key}`;
+    }
+}
+
+/**
+ * Orders pool tags by module number, outcome number or difficulty level, missing tags last
+ * @param {number|string|null} a - Value from getPoolKey
+ * @param {number|string|null} b - Value from getPoolKey
+ * @param {string} grouping - One of POOL_GROUPINGS
+ * @returns {number} - Sort comparison result
+ */
+function comparePoolKeys(a, b, grouping) {
+    if (a === null || b === null) return compareOptionalNumbers(a, b);
+
+    const rank = key => {
+        if (grouping === POOL_GROUPINGS.MODULE) return key;
+        if (grouping === POOL_GROUPINGS.OUTCOME) return parseInt(key.replace(/\D/g, ''), 10);
+        const index = DIFFICULTY_ORDER.indexOf(key);
+        return index === -1 ? DIFFICULTY_ORDER.length : index;
+    };
+    // LO and CLO codes with the same number stay apart, in alphabetical order
+    return rank(a) - rank(b) || String(a).localeCompare(String(b));
+}
+
+/**
+ * Splits questions into pools by module, learning outcome or difficulty
+ * Pools follow the module number, outcome number or difficulty level, with untagged questions last;
+ * questions keep their order within each pool
+ * @param {Array<Object>} questions - Question objects, in output order
+ * @param {string} grouping - One of POOL_GROUPINGS
+ * @param {string} poolName - Pool name from the export settings
+ * @returns {Array<Object>} - [{ key, label, title, questions }]; one pool with a null label for POOL_GROUPINGS.NONE
+ */
+function groupQuestionsIntoPools(questions, grouping = POOL_GROUPINGS.NONE, poolName = '') {
+    const baseTitle = poolName || 'Question Bank';
+    if (!Object.values(POOL_GROUPINGS).includes(grouping) || grouping === POOL_GROUPINGS.NONE) {
+        return [{ key: null, label: null, title: baseTitle, questions: [...questions] }];
+    }
+
+    const pools = new Map();
+    questions.forEach(question => {
+        const key = getPoolKey(question, grouping);
+        if (!pools.has(key)) pools.set(key, []);
+        pools.get(key).push(question);
+    });
+
+    return [...pools.keys()].sort((a, b) => comparePoolKeys(a, b, grouping)).map(key => {
+        const label = getPoolLabel(key, grouping);
+        return { key, label, title: `${baseTitle} - ${label}`, questions: pools.get(key) };
+    });
+}
+
+// ============================================================================
+// QUESTION CLASSIFICATION
+// ============================================================================
+
+/**
+ * Checks whether answer lines read as a numeric answer without any warning
+ * @param {string} answerLine - First answer line
+ * @param {string} toleranceLine - Optional second answer line
+ * @returns {boolean} - True for a clean numeric answer
+ */
+function isCleanNumericAnswer(answerLine, toleranceLine) {
+    try {
+        return parseNumericAnswer(answerLine, toleranceLine).warnings.length === 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Guesses which question tab a block belongs to from the shape of its answer lines
+ * Used when questions arrive without a tab (e.g. imported documents)
+ * Several answer lines that fit no other type (a custom scale, alternative blank answers)
+ * are not guessed; those questions need a type tag
+ * @param {string} text - A single question block
+ * @returns {string|null} - Tab key from QUESTION_TABS, or null when the type cannot be told
+ */
+function classifyQuestionBlock(text) {
+    const rawLines = splitBlockLines(text);
+    const lines = rawLines.map(stripSEUMetadata);
+    const stem = lines[0] || '';
+    const answerLines = lines.slice(1).filter(line => line !== '');
+    const rawAnswerLines = rawLines.slice(1).filter((line, i) => lines[i + 1] !== '');
+
+    // A sentence with [words] and at most a word bank, before the matching check accepts "Word bank: ..."
+    if (stem.match(JUMBLED_WORD_PATTERN) && answerLines.every(line => WORD_BANK_PATTERN.test(line))) {
+        return 'jumbled';
+    }
+
+    if (answerLines.length === 0) {
+        return 'essay';
+    }
+
+    if (answerLines.length === 2 && answerLines.every(line => TRUE_FALSE_OPTION_PATTERN.test(line))) {
+        return 'tf';
+    }
+
+    if (stem.match(BLANK_VARIABLE_PATTERN) && answerLines.every(line => BLANK_ANSWER_PATTERN.test(line))) {
+        return 'fibPlus';
+    }
+
+    const starred = answerLines.filter(line => line.includes('*')).length;
+    if (starred === 1) return 'mcq';
+    if (starred > 1) return 'ma';
+
+    if (answerLines.length <= 2 && isCleanNumericAnswer(answerLines[0], answerLines[1])) {
+        return 'num';
+    }
+
+    if (rawAnswerLines.every(line => splitMatchingPair(line))) {
+        return 'mat';
+    }
+
+    // Lettered options without a marked answer are still choices; the MCQ parser reports the missing answer
+    if (answerLines.every(line => ORDER_ITEM_PREFIX_PATTERN.test(line))) {
+        return 'mcq';
+    }
+
+    return answerLines.length === 1 ? 'fib' : null;
+}
+
+/**
+ * Parses a question from the Mixed tab
+ * A type tag at the start of the question ("1. [MA] ...", any case) picks the parser;
+ * otherwise the block is classified
+ * @param {string} text - A single question block
+ * @returns {Object} - Question object of the detected type
+ */
+function parseMixedQuestion(text) {
+    const [questionLine, ...answerLines] = text.split('\n');
+    // The tag only counts right after the question number, so "[MA]" inside the text stays text
+    const line = questionLine.trim();
+    const prefix = line.match(QUESTION_PATTERNS.NUMBERED)?.[0] || '';
+    const tag = line.slice(prefix.length).match(QUESTION_TYPE_TAG_PATTERN);
+    const tabKey = tag ? QUESTION_TYPE_TAGS[tag[1].toUpperCase()] : classifyQuestionBlock(text);
+    if (!tabKey) {
+        throw new Error('The question type cannot be told from the answer lines; start the question with a type tag such as [FIB] or [OP]');
+    }
+    const tab = getQuestionTab(tabKey);
+    const block = tag
+        ? [`${prefix}${line.slice(prefix.length + tag[0].length)}`, ...answerLines].join('\n')
+        : text;
+
+    try {
+        return tab.parser(block);
+    } catch (error) {
+        // Say which type the block was read as, since the Mixed tab does not name one
+        throw new Error(`Read as ${tab.label}: ${error.message.replace(/^[^:]+ parsing error: /, '')}`);
+    }
+}
@@ -9,6 +9,12 @@ const translations = {
         multipleAnswer: "Multiple Answer Questions",
         matching: "Matching Questions",
         numeric: "Numeric Response Questions",
+        fillMultipleBlanks: "Fill in Multiple Blanks Questions",
+        ordering: "Ordering Questions",
+        jumbledSentence: "Jumbled Sentence Questions",
+        opinionScale: "Opinion Scale / Likert Questions",
+        fileResponse: "File Response Questions",
+        mixedQuestions: "Mixed Questions",
         format: "Format",
         showExample: "Show Example",
         hideExample: "Hide Example",
@@ -19,21 +25,114 @@ const translations = {
         privacyText: "This website does not store, upload, or transmit your questions. All processing happens locally in your browser.",
         convert: "Convert",
         download: "Download as .txt",
-        downloadQTI: "Download as QTI 2.1",
+        downloadExport: "Export",
+        formatQti21: "QTI 2.1 (Blackboard Ultra)",
+        formatQti12: "QTI 1.2 (Learn Original, legacy LMSs)",
+        formatCc13: "Common Cartridge 1.3 (Canvas, D2L)",
+        formatMoodle: "Moodle XML",
+        formatGift: "GIFT (Moodle)",
         copyClipboard: "Copy to Clipboard",
         clearAll: "Clear All",
+        importDocx: "Import .docx",
+        importTxt: "Import Blackboard .txt",
+        importQti: "Import QTI .zip",
+        defaultPoints: "Default points per question",
+        saveProject: "Save Project",
+        openProject: "Open Project",
+        poolName: "Pool name",
+        poolNamePlaceholder: "Question Bank",
+        shuffleChoices: "Shuffle answer choices (QTI)",
+        questionOrder: "Question order",
+        orderByType: "By type (tab order)",
+        orderByNumber: "By question number (source order)",
+        orderByModule: "By module",
+        poolGrouping: "Pools",
+        poolsNone: "One pool",
+        poolsByModule: "A pool per module",
+        poolsByOutcome: "A pool per learning outcome",
+        poolsByDifficulty: "A pool per difficulty level",
+        batchSize: "Questions per file",
+        batchPackages: "Add a package in the selected format to each file",
+        // Batch download summary (summary.txt)
+        batchSummaryBatches: "{count} questions in {files} files of at most {batchSize} questions, grouped by {groupedBy}.",
+        batchSummaryPools: "{count} questions in {files} files, one pool per {groupedBy} (at most {batchSize} questions per file).",
+        batchSummaryFile: "{file} ({count} questions: {labels})",
+        batchSummaryFileOne: "{file} (1 question: {labels})",
+        batchSummaryPackage: "Package: {file}",
+        batchSummarySkipped: "not in the package: {reason}",
+        batchGroupModule: "module",
+        batchGroupType: "type",
+        batchGroupOutcome: "learning outcome",
+        batchGroupDifficulty: "difficulty level",
+        // Drafts and autosave
+        draftsTitle: "Saved Drafts",
+        openDraft: "Open",
+        deleteDraft: "Delete",
+        saveDraft: "Save Draft",
+        draftNamePlaceholder: "Draft name",
+        restorePrompt: "Unsaved questions from your previous session were found.",
+        restoreSession: "Restore",
+        undoClearPrompt: "The previous questions were removed.",
+        undoClear: "Undo",
+        dismiss: "Dismiss",
+        // Exam blueprint
+        blueprintTitle: "Exam Blueprint",
+        blueprintHelp: "Counts the questions per learning outcome, difficulty level and type. List the course outcomes to be warned about the ones no question covers.",
+        courseOutcomesPlaceholder: "Course outcomes, e.g. CLO1-CLO5",
+        showBlueprint: "Show Blueprint",
+        downloadBlueprintCsv: "Download CSV",
+        downloadBlueprintHtml: "Download HTML",
+        blueprintOutcome: "Learning outcome",
+        blueprintType: "Question type",
+        blueprintAllTypes: "All types",
+        blueprintNoOutcome: "No outcome",
+        blueprintNoDifficulty: "No difficulty",
+        blueprintTotal: "Total",
+        blueprintShare: "Share of exam",
+        blueprintWarnings: "Warnings",
+        blueprintSummary: "{count} questions.",
+        blueprintSummaryOne: "1 question.",
+        blueprintShared: "{count} of them cover several outcomes and are counted under each; the total row counts every question once.",
+        blueprintSharedOne: "1 of them covers several outcomes and is counted under each; the total row counts every question once.",
+        blueprintUncovered: "{code} has no questions.",
+        blueprintUncoveredInferred: "{code} has no questions (it is missing from the numbering of the outcomes used; list the course outcomes to check against the full list).",
+        blueprintNotListed: "{code} is used by questions but is not in the course outcome list.",
+        blueprintUnassigned: "{count} questions have no learning outcome.",
+        blueprintUnassignedOne: "1 question has no learning outcome.",
+        blueprintIgnored: "\"{entry}\" in the course outcome list is not an outcome code and was ignored.",
+        difficultyLow: "Low",
+        difficultyMid: "Mid",
+        difficultyHigh: "High",
         totalQuestions: "Total Questions",
         outputPlaceholder: "Converted Blackboard questions will appear here...",
         outputHelp: "This output is in Blackboard Ultra tab-delimited format and ready for upload.",
         developedBy: "Developed by:",
+        // Diagnostics panel
+        diagnosticsTitle: "Conversion Diagnostics",
+        diagnosticsHelp: "Select an entry to jump to the question and highlight its lines.",
+        diagnosticsError: "Error",
+        diagnosticsWarning: "Warning",
+        diagnosticsQuestion: "Question",
+        diagnosticsLine: "Line",
+        diagnosticsLines: "Lines",
+        // Live linting badges
+        lintErrors: "error(s)",
+        lintWarnings: "warning(s)",
+        lintBadgeHint: "Show this tab's problems in the diagnostics panel",
         // Format descriptions
-        mcqFormat: "Numbered question with choices marked with letters. Use * to mark the correct answer. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        mcqFormat: "Numbered question with choices marked with letters. Use * to mark the correct answer. Add \"Feedback+:\" / \"Feedback-:\" lines for correct/incorrect feedback and a \"> rationale\" line under any choice (QTI export only). Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
         essayFormat: "Numbered (1.) or lettered (a)) question format. Both are supported. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
         tfFormat: "Numbered question with True/False options. Use * to mark the correct answer. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
         fibFormat: "Numbered question with answers on subsequent lines. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
-        maFormat: "Similar to MCQ but allows multiple correct answers. Mark all correct answers with *. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
-        matFormat: "Numbered question with answer-matching pairs on subsequent lines. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
-        numFormat: "Numbered question with numeric answer. Optional tolerance on third line. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        maFormat: "Similar to MCQ but allows multiple correct answers. Mark all correct answers with *. Feedback+: / Feedback-: and \"> rationale\" lines work as in MCQ. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        matFormat: "Numbered question with one \"prompt => answer\" pair per line (|, a tab or \" - \" also work as separators). Lines starting with => add extra answers as distractors. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        numFormat: "Numbered question with numeric answer. Optional tolerance on the third line, either absolute (0.5) or a percentage (5%). You can also write the answer as \"42 ± 0.5\" or as a range \"40..44\". Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        fibPlusFormat: "Numbered question with named blanks like [x] and [y]. List the accepted answers for each blank on its own line as \"x: answer | alternative\". Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        ordFormat: "Numbered question followed by the items in their correct order, one per line (optionally lettered a., b., c.). Students will see the items shuffled. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        jumbledFormat: "Numbered sentence with the correct words in brackets, e.g. \"The [quick] brown [fox]\". Add an optional \"Word bank:\" line listing extra distractor words separated by |. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        opFormat: "Numbered statement. Optionally list your own scale points, one per line (optionally lettered a., b., c.); otherwise the 5-point Strongly Agree to Strongly Disagree scale is used. Opinion questions are not graded. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        filFormat: "Numbered question describing the file students should upload. Students answer by attaching a file, which is graded manually. Metadata (LO1, Module, etc.) is optional and will be automatically removed.",
+        mixedFormat: "Paste the whole exam here in its original order. Each numbered question is detected from its answer lines: one * is Multiple Choice, several * Multiple Answer, True/False lines True/False, a number Numeric Response, pairs (=>) Matching, \"x: answer\" lines Fill in Multiple Blanks, [words] in the sentence with at most a \"Word bank:\" line Jumbled Sentence, a single other answer line Fill in the Blank, and no answer lines Essay. Other answer lines need a type tag. Put a type tag on the question line to choose the type yourself: [MC], [MA], [TF], [ESS], [FIB], [FIB+], [MAT], [NUM], [ORD], [JUMBLED], [OP] or [FIL]. Ordering, Opinion Scale and File Response questions always need their tag.",
         // Question type names for sidebar
         mcqTab: "MCQ",
         essayTab: "Essay",
@@ -42,22 +141,40 @@ const translations = {
         multipleAnswerTab: "Multiple Answer",
         matchingTab: "Matching",
         numericTab: "Numeric",
+        fillMultipleBlanksTab: "Multiple Blanks",
+        orderingTab: "Ordering",
+        jumbledTab: "Jumbled Sentence",
+        opinionTab: "Opinion Scale",
+        fileResponseTab: "File Response",
+        mixedTab: "Mixed",
         // Example texts - showing both with and without metadata
         mcqExample: "With metadata:\n1. Which of these is NOT a step? (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\na. Choice one\nb. Choice two*\nc. Choice three\n\nWithout metadata:\n2. What is the capital of Saudi Arabia?\na. Jeddah\nb. Riyadh*\nc. Dammam",
         essayExample: "With metadata:\na) What is the similarity and difference between interval data and ratio data? (LO2) (Dr. Name) [Module 1] [Difficulty Level: Low]\n\nWithout metadata:\nb) Explain the concept of data analysis in your own words.",
         tfExample: "With metadata:\n1. This statement is true. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nTrue*\nFalse\n\nWithout metadata:\n2. The Earth is round.\nTrue*\nFalse",
         fibExample: "With metadata:\n1. The capital of France is ____. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nParis\nparis\n\nWithout metadata:\n2. The largest planet in our solar system is ____.\nJupiter",
         maExample: "With metadata:\n1. Select all that apply. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\na. Option one*\nb. Option two*\nc. Option three\n\nWithout metadata:\n2. Which are prime numbers?\na. 2*\nb. 4\nc. 7*",
-        matExample: "With metadata:\n1. Match the following. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nParis France\nLondon England\n\nWithout metadata:\n2. Match the capitals:\nParis France\nLondon England",
-        numExample: "With metadata:\n1. What is 2+2? (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\n4\n0.5\n\nWithout metadata:\n2. Calculate 5 × 3\n15",
+        matExample: "With metadata:\n1. Match the following. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nNew York => United States\nLondon => England\n=> France\n\nWithout metadata:\n2. Match the capitals:\nParis | France\nRiyadh | Saudi Arabia",
+        numExample: "With metadata:\n1. What is 2+2? (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\n4\n0.5\n\nWithout metadata:\n2. Calculate 5 × 3\n15\n\nPercentage and range:\n3. Estimate the speed of sound in m/s.\n343\n5%\n4. Give a prime between 10 and 20.\n11..19",
+        fibPlusExample: "With metadata:\n1. The capital of [x] is [y]. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nx: France | france\ny: Paris | paris\n\nWithout metadata:\n2. Water is made of [a] and [b].\na: hydrogen | H\nb: oxygen | O",
+        ordExample: "With metadata:\n1. Order the phases of the software development life cycle. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\na. Requirements\nb. Design\nc. Implementation\nd. Testing\n\nWithout metadata:\n2. Order the planets from the Sun.\nMercury\nVenus\nEarth",
+        jumbledExample: "With metadata:\n1. The [quick] brown [fox] jumps over the lazy dog. (LO1) (Dr. Name) [Module 1] [Difficulty Level: Low]\nWord bank: slow | cat | runs\n\nWithout metadata:\n2. A [for] loop repeats a [block] of code.",
+        opExample: "Default scale:\n1. The course materials were clear and well organized. (LO1) (Dr. Name) [Module 1]\n\nCustom scale:\n2. How often did you use the lab resources?\na. Never\nb. Sometimes\nc. Often\nd. Always",
+        filExample: "With metadata:\n1. Upload your completed project report as a PDF. (LO2) (Dr. Name) [Module 3] [Difficulty Level: High]\n\nWithout metadata:\n2. Upload the source code of your sorting program as a zip file.",
+        mixedExample: "1. Which city is the capital of Saudi Arabia? (LO1) [Module 1]\na. Jeddah\nb. Riyadh*\n\n2. The sun rises in the east.\nTrue*\nFalse\n\n3. What is 2 + 2?\n4\n\n4. [ORD] Put the steps in order.\nPlan\nBuild\nTest\n\n5. Discuss the causes of inflation.",
         // Placeholders
         mcqPlaceholder: "1. Your question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\na. First choice\nb. Second choice*\nc. Third choice",
         essayPlaceholder: "a) Your essay question here (LO2) (Author) [Module 1] [Difficulty Level: Low]",
         tfPlaceholder: "1. Your true/false question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\nTrue*\nFalse",
         fibPlaceholder: "1. Your fill-in-the-blank question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\nAnswer 1\nAnswer 2",
         maPlaceholder: "1. Your multiple answer question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\na. First option*\nb. Second option*\nc. Third option",
-        matPlaceholder: "1. Your matching question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\nAnswer1 Matching1\nAnswer2 Matching2",
-        numPlaceholder: "1. Your numeric question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\n42\n0.5"
+        matPlaceholder: "1. Your matching question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\nPrompt 1 => Answer 1\nPrompt 2 => Answer 2\n=> Distractor",
+        numPlaceholder: "1. Your numeric question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\n42\n0.5",
+        fibPlusPlaceholder: "1. Your question with [x] and [y] blanks here (LO1) (Author) [Module 1] [Difficulty Level: Low]\nx: Answer | Alternative\ny: Answer",
+        ordPlaceholder: "1. Your ordering question here (LO1) (Author) [Module 1] [Difficulty Level: Low]\na. First item\nb. Second item\nc. Third item",
+        jumbledPlaceholder: "1. Your sentence with the [correct] [words] in brackets (LO1) (Author) [Module 1] [Difficulty Level: Low]\nWord bank: extra | words",
+        opPlaceholder: "1. Your statement here (LO1) (Author) [Module 1]\n2. Statement with its own scale\na. First scale point\nb. Second scale point",
+        filPlaceholder: "1. Describe the file students should upload here (LO1) (Author) [Module 1] [Difficulty Level: Mid]",
+        mixedPlaceholder: "1. A question with one * is Multiple Choice, several * Multiple Answer\na. First choice\nb. Second choice*\n2. [TF] Add a type tag to choose the type yourself\nTrue*\nFalse"
     },
     ar: {
         appTitle: "محول أسئلة بلاك بورد",
@@ -68,6 +185,12 @@ const translations = {
         multipleAnswer: "أسئلة الإجابة المتعددة",
         matching: "أسئلة المطابقة",
         numeric: "أسئلة الإجابة الرقمية",
+        fillMultipleBlanks: "أسئلة إكمال الفراغات المتعددة",
+        ordering: "أسئلة الترتيب",
+        jumbledSentence: "أسئلة الجملة المبعثرة",
+        opinionScale: "أسئلة مقياس الرأي / ليكرت",
+        fileResponse: "أسئلة رفع الملفات",
+        mixedQuestions: "أسئلة مختلطة",
         format: "التنسيق",
         showExample: "عرض المثال",
         hideExample: "إخفاء المثال",
@@ -78,21 +201,114 @@ const translations = {
         privacyText: "هذا الموقع لا يخزن أو يرفع أو ينقل أسئلتك. جميع المعالجة تتم محلياً في متصفحك.",
         convert: "تحويل",
         download: "تحميل كملف نصي",
-        downloadQTI: "تحميل كحزمة QTI 2.1",
+        downloadExport: "تصدير",
+        formatQti21: "QTI 2.1 (Blackboard Ultra)",
+        formatQti12: "QTI 1.2 (Learn Original والأنظمة القديمة)",
+        formatCc13: "Common Cartridge 1.3 (Canvas و D2L)",
+        formatMoodle: "Moodle XML",
+        formatGift: "GIFT (Moodle)",
         copyClipboard: "نسخ إلى الحافظة",
         clearAll: "مسح الكل",
+        importDocx: "استيراد ملف Word",
+        importTxt: "استيراد ملف Blackboard ‏.txt",
+        importQti: "استيراد حزمة QTI ‏.zip",
+        defaultPoints: "الدرجة الافتراضية لكل سؤال",
+        saveProject: "حفظ المشروع",
+        openProject: "فتح مشروع",
+        poolName: "اسم بنك الأسئلة",
+        poolNamePlaceholder: "بنك الأسئلة",
+        shuffleChoices: "ترتيب الخيارات عشوائيًا (QTI)",
+        questionOrder: "ترتيب الأسئلة",
+        orderByType: "حسب النوع (ترتيب التبويبات)",
+        orderByNumber: "حسب رقم السؤال (ترتيب المصدر)",
+        orderByModule: "حسب الوحدة",
+        poolGrouping: "المجموعات",
+        poolsNone: "مجموعة واحدة",
+        poolsByModule: "مجموعة لكل وحدة",
+        poolsByOutcome: "مجموعة لكل مخرج تعلم",
+        poolsByDifficulty: "مجموعة لكل مستوى صعوبة",
+        batchSize: "عدد الأسئلة في كل ملف",
+        batchPackages: "إضافة حزمة بالصيغة المختارة لكل ملف",
+        // Batch download summary (summary.txt)
+        batchSummaryBatches: "{count} سؤالًا في {files} ملفات، بحد أقصى {batchSize} سؤالًا لكل ملف، مجمعة حسب {groupedBy}.",
+        batchSummaryPools: "{count} سؤالًا في {files} ملفات، بنك أسئلة لكل {groupedBy} (بحد أقصى {batchSize} سؤالًا لكل ملف).",
+        batchSummaryFile: "{file} ({count} أسئلة: {labels})",
+        batchSummaryFileOne: "{file} (سؤال واحد: {labels})",
+        batchSummaryPackage: "الحزمة: {file}",
+        batchSummarySkipped: "غير موجود في الحزمة: {reason}",
+        batchGroupModule: "وحدة",
+        batchGroupType: "نوع سؤال",
+        batchGroupOutcome: "مخرج تعلم",
+        batchGroupDifficulty: "مستوى صعوبة",
+        // Drafts and autosave
+        draftsTitle: "المسودات المحفوظة",
+        openDraft: "فتح",
+        deleteDraft: "حذف",
+        saveDraft: "حفظ المسودة",
+        draftNamePlaceholder: "اسم المسودة",
+        restorePrompt: "تم العثور على أسئلة غير محفوظة من جلستك السابقة.",
+        restoreSession: "استعادة",
+        undoClearPrompt: "تمت إزالة الأسئلة السابقة.",
+        undoClear: "تراجع",
+        dismiss: "إغلاق",
+        // Exam blueprint
+        blueprintTitle: "جدول مواصفات الاختبار",
+        blueprintHelp: "يحسب عدد الأسئلة لكل مخرج تعلم ومستوى صعوبة ونوع سؤال. أدخل مخرجات المقرر لتنبيهك إلى المخرجات التي لا يغطيها أي سؤال.",
+        courseOutcomesPlaceholder: "مخرجات المقرر، مثل CLO1-CLO5",
+        showBlueprint: "عرض جدول المواصفات",
+        downloadBlueprintCsv: "تنزيل CSV",
+        downloadBlueprintHtml: "تنزيل HTML",
+        blueprintOutcome: "مخرج التعلم",
+        blueprintType: "نوع السؤال",
+        blueprintAllTypes: "كل الأنواع",
+        blueprintNoOutcome: "بدون مخرج",
+        blueprintNoDifficulty: "بدون مستوى صعوبة",
+        blueprintTotal: "المجموع",
+        blueprintShare: "النسبة من الاختبار",
+        blueprintWarnings: "تنبيهات",
+        blueprintSummary: "{count} أسئلة.",
+        blueprintSummaryOne: "سؤال واحد.",
+        blueprintShared: "{count} منها تغطي أكثر من مخرج وتُحسب تحت كل منها؛ صف المجموع يحسب كل سؤال مرة واحدة.",
+        blueprintSharedOne: "سؤال واحد منها يغطي أكثر من مخرج ويُحسب تحت كل منها؛ صف المجموع يحسب كل سؤال مرة واحدة.",
+        blueprintUncovered: "لا توجد أسئلة للمخرج {code}.",
+        blueprintUncoveredInferred: "لا توجد أسئلة للمخرج {code} (وهو مفقود من ترقيم المخرجات المستخدمة؛ أدخل مخرجات المقرر للمقارنة بالقائمة الكاملة).",
+        blueprintNotListed: "المخرج {code} مستخدم في الأسئلة لكنه غير موجود في قائمة مخرجات المقرر.",
+        blueprintUnassigned: "{count} أسئلة بدون مخرج تعلم.",
+        blueprintUnassignedOne: "سؤال واحد بدون مخرج تعلم.",
+        blueprintIgnored: "تم تجاهل \"{entry}\" في قائمة مخرجات المقرر لأنه ليس رمز مخرج.",
+        difficultyLow: "منخفض",
+        difficultyMid: "متوسط",
+        difficultyHigh: "عالي",
         totalQuestions: "إجمالي الأسئلة",
         outputPlaceholder: "ستظهر أسئلة بلاك بورد المحولة هنا...",
         outputHelp: "هذا الإخراج بتنسيق بلاك بورد الترا المفصول بعلامات التبويب وجاهز للرفع.",
         developedBy: "تم التطوير بواسطة:",
+        // Diagnostics panel
+        diagnosticsTitle: "تشخيص التحويل",
+        diagnosticsHelp: "اختر أحد العناصر للانتقال إلى السؤال وتحديد أسطره.",
+        diagnosticsError: "خطأ",
+        diagnosticsWarning: "تحذير",
+        diagnosticsQuestion: "السؤال",
+        diagnosticsLine: "السطر",
+        diagnosticsLines: "الأسطر",
+        // Live linting badges
+        lintErrors: "خطأ/أخطاء",
+        lintWarnings: "تحذير/تحذيرات",
+        lintBadgeHint: "عرض مشكلات هذا القسم في لوحة التشخيص",
         // Format descriptions
-        mcqFormat: "سؤال مرقم مع خيارات محددة بأحرف. استخدم * لتحديد الإجابة الصحيحة. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        mcqFormat: "سؤال مرقم مع خيارات محددة بأحرف. استخدم * لتحديد الإجابة الصحيحة. أضف سطري \"Feedback+:\" و \"Feedback-:\" للتغذية الراجعة عند الإجابة الصحيحة أو الخاطئة، وسطر \"> التبرير\" تحت أي خيار (في تصدير QTI فقط). البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
         essayFormat: "تنسيق سؤال مرقم (1.) أو بحروف (أ)). كلا التنسيقين مدعومان. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
         tfFormat: "سؤال مرقم مع خيارات صح/خطأ. استخدم * لتحديد الإجابة الصحيحة. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
         fibFormat: "سؤال مرقم مع إجابات في الأسطر التالية. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
-        maFormat: "مشابه لأسئلة الاختيار من متعدد لكن يسمح بإجابات صحيحة متعددة. حدد جميع الإجابات الصحيحة بـ *. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
-        matFormat: "سؤال مرقم مع أزواج مطابقة في الأسطر التالية. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
-        numFormat: "سؤال مرقم مع إجابة رقمية. التسامح اختياري في السطر الثالث. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        maFormat: "مشابه لأسئلة الاختيار من متعدد لكن يسمح بإجابات صحيحة متعددة. حدد جميع الإجابات الصحيحة بـ *. تعمل أسطر Feedback+: و Feedback-: و \"> التبرير\" كما في أسئلة الاختيار من متعدد. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        matFormat: "سؤال مرقم مع زوج \"عنصر => إجابة\" في كل سطر (يمكن أيضاً استخدام | أو مسافة جدولة أو \" - \" كفاصل). الأسطر التي تبدأ بـ => تضيف إجابات مشتتة إضافية. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        numFormat: "سؤال مرقم مع إجابة رقمية. التسامح اختياري في السطر الثالث، إما قيمة مطلقة (0.5) أو نسبة مئوية (5%). يمكنك أيضاً كتابة الإجابة بالشكل \"42 ± 0.5\" أو كنطاق \"40..44\". البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        fibPlusFormat: "سؤال مرقم يحتوي على فراغات مسماة مثل [x] و [y]. اكتب الإجابات المقبولة لكل فراغ في سطر مستقل بالشكل \"x: إجابة | بديل\". البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        ordFormat: "سؤال مرقم يليه العناصر بترتيبها الصحيح، عنصر في كل سطر (يمكن ترقيمها بالأحرف أ.، ب.، ج.). سيرى الطلاب العناصر بترتيب عشوائي. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        jumbledFormat: "جملة مرقمة تحتوي على الكلمات الصحيحة بين أقواس مربعة، مثل \"يعمل [المعالج] على تنفيذ [التعليمات]\". أضف سطراً اختيارياً \"بنك الكلمات:\" يحتوي على كلمات مشتتة إضافية مفصولة بـ |. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        opFormat: "عبارة مرقمة. يمكنك اختيارياً كتابة نقاط المقياس الخاصة بك، نقطة في كل سطر (يمكن ترقيمها بالأحرف أ.، ب.، ج.)؛ وإلا سيُستخدم مقياس من 5 نقاط من أوافق بشدة إلى لا أوافق بشدة. أسئلة الرأي لا تُقيَّم بدرجات. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        filFormat: "سؤال مرقم يصف الملف الذي يجب على الطلاب رفعه. يجيب الطلاب بإرفاق ملف يتم تقييمه يدوياً. البيانات الوصفية (LO1، الوحدة، إلخ) اختيارية وسيتم إزالتها تلقائياً.",
+        mixedFormat: "الصق الاختبار كاملاً هنا بترتيبه الأصلي. يُحدَّد نوع كل سؤال مرقم من أسطر إجابته: علامة * واحدة اختيار من متعدد، وأكثر من علامة اختيار إجابات متعددة، وأسطر True/False صح وخطأ، ورقم إجابة رقمية، والأزواج (=>) مطابقة، وأسطر \"x: إجابة\" فراغات متعددة، وكلمات بين [أقواس] في الجملة مع سطر \"Word bank:\" اختياري جملة مبعثرة، وسطر إجابة واحد آخر ملء الفراغ، وبدون أسطر إجابة مقالي. الأسطر الأخرى تحتاج إلى وسم النوع. ضع وسم النوع في سطر السؤال لتحديد النوع بنفسك: [MC] أو [MA] أو [TF] أو [ESS] أو [FIB] أو [FIB+] أو [MAT] أو [NUM] أو [ORD] أو [JUMBLED] أو [OP] أو [FIL]. أسئلة الترتيب ومقياس الرأي ورفع الملفات تحتاج دائماً إلى وسمها.",
         // Question type names for sidebar
         mcqTab: "اختيار من متعدد",
         essayTab: "مقال",
@@ -101,22 +317,40 @@ const translations = {
         multipleAnswerTab: "إجابة متعددة",
         matchingTab: "مطابقة",
         numericTab: "رقمي",
+        fillMultipleBlanksTab: "فراغات متعددة",
+        orderingTab: "ترتيب",
+        jumbledTab: "جملة مبعثرة",
+        opinionTab: "مقياس الرأي",
+        fileResponseTab: "رفع ملف",
+        mixedTab: "مختلط",
         // Example texts - showing both with and without metadata
         mcqExample: "مع البيانات الوصفية:\n1. أي من هذه ليس خطوة؟ (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. الخيار الأول\nب. الخيار الثاني*\nج. الخيار الثالث\n\nبدون البيانات الوصفية:\n2. ما هي عاصمة المملكة العربية السعودية؟\nأ. جدة\nب. الرياض*\nج. الدمام",
         essayExample: "مع البيانات الوصفية:\nأ) ما هي أوجه التشابه والاختلاف بين البيانات الفاصلة وبيانات النسبة؟ (LO2) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\n\nبدون البيانات الوصفية:\nب) اشرح مفهوم تحليل البيانات بكلماتك الخاصة.",
         tfExample: "مع البيانات الوصفية:\n1. هذه العبارة صحيحة. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nصحيح*\nخطأ\n\nبدون البيانات الوصفية:\n2. الأرض كروية.\nصحيح*\nخطأ",
         fibExample: "مع البيانات الوصفية:\n1. عاصمة فرنسا هي ____. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nباريس\nparis\n\nبدون البيانات الوصفية:\n2. أكبر كوكب في نظامنا الشمسي هو ____.\nالمشتري",
         maExample: "مع البيانات الوصفية:\n1. اختر جميع ما ينطبق. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. الخيار الأول*\nب. الخيار الثاني*\nج. الخيار الثالث\n\nبدون البيانات الوصفية:\n2. أي من الأرقام التالية أولية؟\nأ. 2*\nب. 4\nج. 7*",
-        matExample: "مع البيانات الوصفية:\n1. طابق التالي. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nباريس فرنسا\nلندن إنجلترا\n\nبدون البيانات الوصفية:\n2. طابق العواصم:\nباريس فرنسا\nلندن إنجلترا",
-        numExample: "مع البيانات الوصفية:\n1. ما هو 2+2؟ (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\n4\n0.5\n\nبدون البيانات الوصفية:\n2. احسب 5 × 3\n15",
+        matExample: "مع البيانات الوصفية:\n1. طابق التالي. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nنيويورك => الولايات المتحدة\nلندن => إنجلترا\n=> فرنسا\n\nبدون البيانات الوصفية:\n2. طابق العواصم:\nباريس | فرنسا\nالرياض | المملكة العربية السعودية",
+        numExample: "مع البيانات الوصفية:\n1. ما هو 2+2؟ (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\n4\n0.5\n\nبدون البيانات الوصفية:\n2. احسب 5 × 3\n15\n\nنسبة مئوية ونطاق:\n3. قدّر سرعة الصوت بوحدة م/ث.\n343\n5%\n4. اذكر عدداً أولياً بين 10 و 20.\n11..19",
+        fibPlusExample: "مع البيانات الوصفية:\n1. عاصمة [x] هي [y]. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nx: فرنسا | France\ny: باريس | Paris\n\nبدون البيانات الوصفية:\n2. يتكون الماء من [a] و [b].\na: الهيدروجين | H\nb: الأكسجين | O",
+        ordExample: "مع البيانات الوصفية:\n1. رتب مراحل دورة حياة تطوير البرمجيات. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. المتطلبات\nب. التصميم\nج. التنفيذ\nد. الاختبار\n\nبدون البيانات الوصفية:\n2. رتب الكواكب حسب بعدها عن الشمس.\nعطارد\nالزهرة\nالأرض",
+        jumbledExample: "مع البيانات الوصفية:\n1. يعمل [المعالج] على تنفيذ [التعليمات] المخزنة في الذاكرة. (LO1) (د. الاسم) [الوحدة 1] [مستوى الصعوبة: منخفض]\nبنك الكلمات: الشاشة | البيانات\n\nبدون البيانات الوصفية:\n2. تكرر حلقة [for] مجموعة من [الأوامر].",
+        opExample: "المقياس الافتراضي:\n1. كانت مواد المقرر واضحة ومنظمة. (LO1) (د. الاسم) [الوحدة 1]\n\nمقياس مخصص:\n2. كم مرة استخدمت موارد المختبر؟\nأ. أبداً\nب. أحياناً\nج. غالباً\nد. دائماً",
+        filExample: "مع البيانات الوصفية:\n1. ارفع تقرير المشروع النهائي بصيغة PDF. (LO2) (د. الاسم) [الوحدة 3] [مستوى الصعوبة: عالي]\n\nبدون البيانات الوصفية:\n2. ارفع الشيفرة المصدرية لبرنامج الترتيب في ملف مضغوط.",
+        mixedExample: "1. ما عاصمة المملكة العربية السعودية؟ (LO1) [الوحدة 1]\na. جدة\nb. الرياض*\n\n2. تشرق الشمس من الشرق.\nTrue*\nFalse\n\n3. كم يساوي 2 + 2؟\n4\n\n4. [ORD] رتب الخطوات.\nالتخطيط\nالبناء\nالاختبار\n\n5. ناقش أسباب التضخم.",
         // Placeholders
         mcqPlaceholder: "1. سؤالك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. الخيار الأول\nب. الخيار الثاني*\nج. الخيار الثالث",
         essayPlaceholder: "أ) سؤال المقال الخاص بك هنا (LO2) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]",
         tfPlaceholder: "1. سؤال صح/خطأ الخاص بك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nصحيح*\nخطأ",
         fibPlaceholder: "1. سؤال إكمال الفراغ الخاص بك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nالإجابة 1\nالإجابة 2",
         maPlaceholder: "1. سؤال الإجابة المتعددة الخاص بك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. الخيار الأول*\nب. الخيار الثاني*\nج. الخيار الثالث",
-        matPlaceholder: "1. سؤال المطابقة الخاص بك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nالإجابة1 المطابقة1\nالإجابة2 المطابقة2",
-        numPlaceholder: "1. سؤالك الرقمي هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\n42\n0.5"
+        matPlaceholder: "1. سؤال المطابقة الخاص بك هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nالعنصر 1 => الإجابة 1\nالعنصر 2 => الإجابة 2\n=> إجابة مشتتة",
+        numPlaceholder: "1. سؤالك الرقمي هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\n42\n0.5",
+        fibPlusPlaceholder: "1. سؤالك مع الفراغين [x] و [y] هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nx: الإجابة | البديل\ny: الإجابة",
+        ordPlaceholder: "1. سؤال الترتيب هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nأ. العنصر الأول\nب. العنصر الثاني\nج. العنصر الثالث",
+        jumbledPlaceholder: "1. جملتك مع [الكلمات] [الصحيحة] بين أقواس (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: منخفض]\nبنك الكلمات: كلمات | إضافية",
+        opPlaceholder: "1. العبارة هنا (LO1) (المؤلف) [الوحدة 1]\n2. عبارة بمقياس مخصص\nأ. نقطة المقياس الأولى\nب. نقطة المقياس الثانية",
+        filPlaceholder: "1. صف الملف الذي يجب على الطلاب رفعه هنا (LO1) (المؤلف) [الوحدة 1] [مستوى الصعوبة: متوسط]",
+        mixedPlaceholder: "1. سؤال بعلامة * واحدة اختيار من متعدد، وبأكثر من علامة إجابات متعددة\na. الخيار الأول\nb. الخيار الثاني*\n2. [TF] أضف وسم النوع لتحديد النوع بنفسك\nTrue*\nFalse"
     }
 };
 
@@ -173,6 +407,12 @@ function setLanguage(lang) {
         'maText': 'maPlaceholder',
         'matText': 'matPlaceholder',
         'numText': 'numPlaceholder',
+        'fibPlusText': 'fibPlusPlaceholder',
+        'ordText': 'ordPlaceholder',
+        'jumbledText': 'jumbledPlaceholder',
+        'opText': 'opPlaceholder',
+        'filText': 'filPlaceholder',
+        'mixedText': 'mixedPlaceholder',
         'outputText': 'outputPlaceholder'
     };
     
@@ -192,7 +432,13 @@ function setLanguage(lang) {
         'fib-example': 'fibExample',
         'ma-example': 'maExample',
         'mat-example': 'matExample',
-        'num-example': 'numExample'
+        'num-example': 'numExample',
+        'fibPlus-example': 'fibPlusExample',
+        'ord-example': 'ordExample',
+        'jumbled-example': 'jumbledExample',
+        'op-example': 'opExample',
+        'fil-example': 'filExample',
+        'mixed-example': 'mixedExample'
     };
     
     Object.keys(exampleMap).forEach(exampleId => {
@@ -213,8 +459,13 @@ function setLanguage(lang) {
     });
 }
 
-function t(key) {
-    return translations[currentLang][key] || translations.en[key] || key;
+// Fill the {name} placeholders of a translated text from params
+function fillPlaceholders(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function t(key, params = {}) {
+    return fillPlaceholders(translations[currentLang][key] || translations.en[key] || key, params);
 }
 
 // Make functions globally available
@@ -0,0 +1,83 @@
+/**
+ * Blackboard TXT Export Module
+ * Serializes parsed question objects into Blackboard Ultra tab-delimited rows
+ * Based on official Blackboard documentation: https://help.blackboard.com/Learn/Instructor/Ultra/Tests_Pools_Surveys/Reuse_Questions/Upload_Questions
+ */
+
+// ============================================================================
+// ROW SERIALIZERS
+// ============================================================================
+
+/**
+ * Formats choice-based questions (MC, MA)
+ * Format: TYPE TAB question TAB choice TAB correct|incorrect TAB ...
+ * @param {Object} question - MC or MA question object
+ * @returns {string} - Tab-delimited row
+ */
+function formatChoiceRow(question) {
+    let formatted = `${question.type}\t${question.stem}`;
+    question.choices.forEach(choice => {
+        formatted += `\t${choice.text}\t${choice.isCorrect ? 'correct' : 'incorrect'}`;
+    });
+    return formatted;
+}
+
+/**
+ * Formats a parsed question as a Blackboard tab-delimited row
+ * @param {Object} question - Question object from the parser layer
+ * @returns {string} - Tab-delimited row
+ */
+function formatBlackboardRow(question) {
+    switch (question.type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            return formatChoiceRow(question);
+        case QUESTION_TYPES.ESS:
+            // Format: ESS TAB question TAB [example]
+            return `${QUESTION_TYPES.ESS}\t${question.stem}\t`;
+        case QUESTION_TYPES.TF:
+            // Format: TF TAB question TAB true|false
+            return `${QUESTION_TYPES.TF}\t${question.stem}\t${question.correctAnswer ? 'true' : 'false'}`;
+        case QUESTION_TYPES.FIB:
+            // Format: FIB TAB question TAB answer1 TAB answer2 ...
+            return [QUESTION_TYPES.FIB, question.stem, ...question.answers].join('\t');
+        case QUESTION_TYPES.FIB_PLUS:
+            // Format: FIB_PLUS TAB question TAB variable1 TAB answer1 TAB answer2 TAB TAB variable2 TAB answer3 TAB
+            return [QUESTION_TYPES.FIB_PLUS, question.stem, ...question.blanks.flatMap(blank => [blank.variable, ...blank.answers, ''])].join('\t');
+        case QUESTION_TYPES.MAT:
+            // Format: MAT TAB question TAB answer TAB matching TAB answer2 TAB matching2 ...
+            return [QUESTION_TYPES.MAT, question.stem, ...question.pairs.flatMap(pair => [pair.left, pair.right])].join('\t');
+        case QUESTION_TYPES.ORD:
+            // Format: ORD TAB question TAB answer1 TAB answer2 ... (in correct order)
+            return [QUESTION_TYPES.ORD, question.stem, ...question.items.map(item => item.text)].join('\t');
+        case QUESTION_TYPES.JUMBLED_SENTENCE:
+            // Format: JUMBLED_SENTENCE TAB question TAB answer TAB variable ... (distractors have no variable)
+            return [
+                QUESTION_TYPES.JUMBLED_SENTENCE,
+                question.stem,
+                ...question.blanks.flatMap(blank => [blank.answer, blank.variable]),
+                ...question.distractors.flatMap(word => [word, ''])
+            ].join('\t');
+        case QUESTION_TYPES.OP:
+            // Format: OP TAB question (Blackboard supplies its own agreement scale)
+            return `${QUESTION_TYPES.OP}\t${question.stem}`;
+        case QUESTION_TYPES.FIL:
+            // Format: FIL TAB question
+            return `${QUESTION_TYPES.FIL}\t${question.stem}`;
+        case QUESTION_TYPES.NUM:
+            // Format: NUM TAB question TAB answer TAB [tolerance]
+            // Ranges and percentages are already normalized to an absolute tolerance by the parser
+            return `${QUESTION_TYPES.NUM}\t${question.stem}\t${question.answer}${question.tolerance ? `\t${question.tolerance}` : ''}`;
+        default:
+            throw new Error(`Unsupported question type for Blackboard TXT: ${question.type}`);
+    }
+}
+
+/**
+ * Serializes a list of questions into a Blackboard upload file body
+ * @param {Array<Object>} questions - Question objects
+ * @returns {string} - One tab-delimited row per question
+ */
+function generateBlackboardTXT(questions) {
+    return questions.map(formatBlackboardRow).join('\n');
+}
@@ -0,0 +1,253 @@
+/**
+ * Blackboard TXT Import Module
+ * Reads a Blackboard tab-delimited upload file (the format written by js/txt_export.js)
+ * and turns each row back into SEU-formatted text in the matching question tab,
+ * so old banks can be edited and exported again. Rows that cannot be mapped are reported.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Blackboard row type -> question tab key
+const BLACKBOARD_ROW_TABS = {
+    [QUESTION_TYPES.MC]: 'mcq',
+    [QUESTION_TYPES.MA]: 'ma',
+    [QUESTION_TYPES.TF]: 'tf',
+    [QUESTION_TYPES.ESS]: 'essay',
+    [QUESTION_TYPES.MAT]: 'mat',
+    [QUESTION_TYPES.FIB]: 'fib',
+    [QUESTION_TYPES.FIB_PLUS]: 'fibPlus',
+    [QUESTION_TYPES.NUM]: 'num',
+    [QUESTION_TYPES.ORD]: 'ord',
+    [QUESTION_TYPES.JUMBLED_SENTENCE]: 'jumbled',
+    [QUESTION_TYPES.OP]: 'op',
+    [QUESTION_TYPES.FIL]: 'fil'
+};
+
+const CHOICE_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// ============================================================================
+// ROW CONVERTERS
+// ============================================================================
+
+/**
+ * Converts the fields after the stem of an MC/MA row into lettered choice lines
+ * @param {Array<string>} fields - choice, correct|incorrect, choice, correct|incorrect, ...
+ * @param {string} type - MC or MA
+ * @returns {Array<string>} - Choice lines with "*" on correct answers
+ */
+function convertChoiceFields(fields, type) {
+    if (fields.length < 4 || fields.length % 2 !== 0) {
+        throw new Error('expected pairs of choice and correct/incorrect');
+    }
+    if (fields.length / 2 > CHOICE_LETTERS.length) {
+        throw new Error(`more than ${CHOICE_LETTERS.length} choices`);
+    }
+
+    const lines = [];
+    let correctCount = 0;
+    for (let i = 0; i < fields.length; i += 2) {
+        const flag = fields[i + 1].toLowerCase();
+        if (flag !== 'correct' && flag !== 'incorrect') {
+            throw new Error(`choice "${fields[i]}" is marked "${fields[i + 1]}" instead of correct/incorrect`);
+        }
+        if (flag === 'correct') correctCount++;
+        lines.push(`${CHOICE_LETTERS[i / 2]}. ${fields[i]}${flag === 'correct' ? '*' : ''}`);
+    }
+
+    if (correctCount === 0) {
+        throw new Error('no choice is marked correct');
+    }
+    if (type === QUESTION_TYPES.MC && correctCount > 1) {
+        throw new Error('a Multiple Choice row has more than one correct choice');
+    }
+    return lines;
+}
+
+/**
+ * Converts the fields after the stem of a FIB_PLUS row into "x: answer | alternative" lines
+ * @param {Array<string>} fields - variable, answer, answer, '', variable, answer, '', ...
+ * @returns {Array<string>} - One line per blank
+ */
+function convertBlankFields(fields) {
+    const lines = [];
+    let current = null;
+    fields.forEach(field => {
+        if (field === '') {
+            current = null;
+        } else if (current === null) {
+            current = { variable: field, answers: [] };
+            lines.push(current);
+        } else {
+            current.answers.push(field);
+        }
+    });
+
+    if (lines.length === 0) {
+        throw new Error('no blanks');
+    }
+    const empty = lines.find(blank => blank.answers.length === 0);
+    if (empty) {
+        throw new Error(`blank [${empty.variable}] has no answers`);
+    }
+    return lines.map(blank => `${blank.variable}: ${blank.answers.join(' | ')}`);
+}
+
+/**
+ * Converts one Blackboard row into an SEU-formatted question block
+ * @param {Array<string>} fields - Tab-separated fields of the row
+ * @param {number} number - Question number to use in the tab
+ * @returns {string} - SEU-formatted question text
+ */
+function blackboardRowToSEU(fields, number) {
+    const [type, stem = '', ...rest] = fields;
+    const answers = rest.filter(field => field !== '');
+    if (stem === '') {
+        throw new Error('the question text is empty');
+    }
+
+    const lines = [`${number}. ${stem}`];
+    switch (type) {
+        case QUESTION_TYPES.MC:
+        case QUESTION_TYPES.MA:
+            lines.push(...convertChoiceFields(rest, type));
+            break;
+        case QUESTION_TYPES.TF: {
+            const answer = (rest[0] || '').toLowerCase();
+            if (answer !== 'true' && answer !== 'false') {
+                throw new Error(`the answer "${rest[0] || ''}" is not true or false`);
+            }
+            lines.push(answer === 'true' ? 'True*' : 'True', answer === 'false' ? 'False*' : 'False');
+            break;
+        }
+        case QUESTION_TYPES.ESS:
+        case QUESTION_TYPES.OP:
+        case QUESTION_TYPES.FIL:
+            // Example answers and Blackboard's own opinion scale have no SEU equivalent
+            break;
+        case QUESTION_TYPES.MAT:
+            if (rest.length < 2 || rest.length % 2 !== 0) {
+                throw new Error('expected pairs of prompt and match');
+            }
+            for (let i = 0; i < rest.length; i += 2) {
+                lines.push(`${rest[i]} => ${rest[i + 1]}`);
+            }
+            break;
+        case QUESTION_TYPES.FIB:
+        case QUESTION_TYPES.ORD:
+            if (answers.length === 0) {
+                throw new Error('no answers');
+            }
+            lines.push(...answers);
+            break;
+        case QUESTION_TYPES.FIB_PLUS:
+            lines.push(...convertBlankFields(rest));
+            break;
+        case QUESTION_TYPES.NUM:
+            if (!isNumericValue(rest[0] || '')) {
+                throw new Error(`the answer "${rest[0] || ''}" is not a number`);
+            }
+            lines.push(...answers.slice(0, 2));
+            break;
+        case QUESTION_TYPES.JUMBLED_SENTENCE: {
+            // Put each answer back into its [variable] slot; words without a variable are distractors
+            let sentence = stem;
+            const distractors = [];
+            for (let i = 0; i < rest.length; i += 2) {
+                const [word, variable = ''] = [rest[i], rest[i + 1]];
+                if (word === '') continue;
+                if (variable === '') {
+                    distractors.push(word);
+                } else {
+                    sentence = sentence.split(`[${variable}]`).join(`[${word}]`);
+                }
+            }
+            lines[0] = `${number}. ${sentence}`;
+            if (distractors.length > 0) {
+                lines.push(`Word bank: ${distractors.join(' | ')}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`unsupported question type "${type}"`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Converts a Blackboard upload file into SEU-formatted question blocks per tab
+ * @param {string} text - Content of the tab-delimited file
+ * @param {Object} firstNumbers - First question number to use per tab key (defaults to 1)
+ * @returns {Object} - { grouped: { tabKey: [block] }, skipped: [{ line, type, reason }] }
+ */
+function parseBlackboardTXT(text, firstNumbers = {}) {
+    const grouped = {};
+    const skipped = [];
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((row, index) => {
+        if (row.trim() === '') return;
+
+        const fields = row.split('\t').map(field => field.trim());
+        // Spreadsheet exports often end rows with a tab; trailing empty fields carry nothing
+        while (fields.length > 1 && fields[fields.length - 1] === '') fields.pop();
+        const type = fields[0].toUpperCase();
+        const tabKey = BLACKBOARD_ROW_TABS[type];
+        if (!tabKey) {
+            skipped.push({ line: index + 1, type: fields[0], reason: `unsupported question type "${fields[0]}"` });
+            return;
+        }
+
+        const blocks = grouped[tabKey] || [];
+        try {
+            blocks.push(blackboardRowToSEU([type, ...fields.slice(1)], (firstNumbers[tabKey] || 1) + blocks.length));
+            grouped[tabKey] = blocks;
+        } catch (error) {
+            skipped.push({ line: index + 1, type, reason: error.message });
+        }
+    });
+
+    return { grouped, skipped };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Imports the Blackboard .txt file chosen in the file input
+ * Imported questions are numbered after the questions already in each tab
+ * @param {Event} event - Change event of the file input
+ */
+async function importBlackboardTXT(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const { grouped, skipped } = parseBlackboardTXT(await file.text(), getNextQuestionNumbers());
+        const counts = appendQuestionsToTabs(grouped);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        if (skipped.length > 0) {
+            renderDiagnostics(skipped.map(row => ({
+                severity: 'warning',
+                message: `Line ${row.line} of ${file.name} was not imported: ${row.reason}`
+            })));
+        }
+
+        if (total === 0) {
+            showNotification(`No Blackboard questions found in ${file.name}.`, 'error', 5000);
+            return;
+        }
+
+        const skippedNote = skipped.length > 0 ? ` ${skipped.length} rows could not be mapped; see the diagnostics below.` : '';
+        showNotification(`Imported ${total} questions from ${file.name}: ${describeImportCounts(counts)}.${skippedNote}`, skipped.length > 0 ? 'error' : 'success', 6000);
+    } catch (error) {
+        showNotification(`Import failed: ${error.message}`, 'error', 5000);
+        console.error('Import error:', error);
+    } finally {
+        // Allow importing the same file again
+        input.value = '';
+    }
+}
@@ -8,53 +8,8 @@
 // CONSTANTS
 // ============================================================================
 
-const QUESTION_TYPES = {
-    MC: 'MC',      // Multiple Choice
-    MA: 'MA',      // Multiple Answer
-    TF: 'TF',      // True/False
-    ESS: 'ESS',    // Essay
-    MAT: 'MAT',    // Matching
-    FIB: 'FIB',    // Fill in the Blank
-    FIB_PLUS: 'FIB_PLUS', // Fill in Multiple Blanks
-    NUM: 'NUM'     // Numeric Response
-};
-
 const MAX_BATCH_SIZE = 250;
 
-// SEU Metadata Patterns - Specific patterns to preserve legitimate parentheses/brackets
-// These patterns match metadata in both English and Arabic
-// Order matters: more specific patterns should be listed first
-const METADATA_PATTERNS = [
-    // Learning Outcomes (most specific first)
-    /\(LO\d+\)/gi,                    // Learning Outcome: (LO1), (LO2), etc.
-    /\(CLO\d+\)/gi,                   // Course Learning Outcome: (CLO1), etc.
-    
-    // Module patterns
-    /\[Module\s+\d+\]/gi,             // Module: [Module 1], [Module 7], etc.
-    /\[الوحدة\s+\d+\]/gi,              // Module in Arabic: [الوحدة 1], etc.
-    /\[Module\s*\d+\]/gi,              // Module without space: [Module1]
-    /\[الوحدة\s*\d+\]/gi,              // Module in Arabic without space: [الوحدة1]
-    
-    // Difficulty patterns
-    /\[Difficulty\s+Level?:\s*(Low|Mid|High)\]/gi, // Difficulty: [Difficulty Level: Low] (handles typo "Leve")
-    /\[مستوى\s+الصعوبة:\s*(منخفض|متوسط|عالي|Low|Mid|High)\]/gi, // Difficulty in Arabic
-    
-    // Author patterns (more specific)
-    /\([^)]*(?:Dr\.|La\.|Dr|Author|د\.|دكتور|المؤلف)[^)]*\)/gi,  // Author names (English and Arabic)
-    /\([^)]*Dr[^)]*\)/gi,              // Any parentheses containing "Dr"
-    /\([^)]*د[^)]*\)/gi,               // Any parentheses containing Arabic "د"
-    
-    // General metadata patterns (less specific, catch-all)
-    /\([^)]*(?:LO|CLO|Module|Difficulty|Level|Author)[^)]*\)/gi, // Any parentheses with metadata keywords
-    /\[[^\]]*(?:Module|Difficulty|Level|Author|وحدة|صعوبة|مستوى)[^\]]*\]/gi // Any brackets with metadata keywords
-];
-
-// Question Numbering Patterns
-const QUESTION_PATTERNS = {
-    NUMBERED: /^\d+\.\s+/,                 // Numbered: "1. ", "19. "
-    LETTERED: /^[a-z\u0600-\u06FF]\)\s+/i  // Lettered: "a) ", "ب) ", "أ) " (supports English and Arabic letters)
-};
-
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -85,72 +40,6 @@ function showNotification(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
-/**
- * Strips SEU metadata from text using specific patterns
- * Preserves legitimate parentheses and brackets in question text
- * Metadata is ALWAYS removed from converted questions for Blackboard
- * @param {string} text - The text to process
- * @returns {string} - Text with metadata removed
- */
-function stripSEUMetadata(text) {
-    // Always strip metadata from converted questions (metadata should never appear in Blackboard output)
-    if (!text || typeof text !== 'string') {
-        return text || '';
-    }
-    
-    let cleaned = text;
-
-    // Remove metadata patterns in order (most specific first)
-    // Run multiple passes to catch nested or overlapping patterns
-    let previousLength = cleaned.length;
-    let iterations = 0;
-    const maxIterations = 5; // Prevent infinite loops
-    
-    do {
-        previousLength = cleaned.length;
-        
-        // Remove all metadata patterns (array order ensures specific patterns run first)
-        METADATA_PATTERNS.forEach(pattern => {
-            cleaned = cleaned.replace(pattern, '');
-        });
-        
-        iterations++;
-    } while (cleaned.length !== previousLength && iterations < maxIterations);
-
-    // Clean up extra spaces (multiple spaces, tabs, newlines) and trim
-    cleaned = cleaned.replace(/\s+/g, ' ').trim();
-    
-    return cleaned;
-}
-
-/**
- * Extracts question number prefix (numbered or lettered)
- * @param {string} text - The question text
- * @returns {Object} - Object with prefix and cleaned text
- */
-function extractQuestionPrefix(text) {
-    let prefix = '';
-    let cleaned = text;
-
-    // Check for numbered format
-    const numberedMatch = text.match(QUESTION_PATTERNS.NUMBERED);
-    if (numberedMatch) {
-        prefix = numberedMatch[0];
-        cleaned = text.replace(QUESTION_PATTERNS.NUMBERED, '').trim();
-        return { prefix, cleaned, type: 'numbered' };
-    }
-
-    // Check for lettered format
-    const letteredMatch = text.match(QUESTION_PATTERNS.LETTERED);
-    if (letteredMatch) {
-        prefix = letteredMatch[0];
-        cleaned = text.replace(QUESTION_PATTERNS.LETTERED, '').trim();
-        return { prefix, cleaned, type: 'lettered' };
-    }
-
-    return { prefix: '', cleaned: text.trim(), type: 'none' };
-}
-
 /**
  * Validates tab-delimited format
  * @param {string} text - The text to validate
@@ -164,364 +53,6 @@ function validateTabDelimited(text) {
     });
 }
 
-// ============================================================================
-// QUESTION PARSING FUNCTIONS
-// ============================================================================
-
-/**
- * Parses and converts Multiple Choice questions
- * Format: "1. [Question] (LO#) (Author) [Module #] [Difficulty Level: X]\na. [choice]\nb. [choice]*\n..."
- * @param {string} text - The MCQ question block
- * @returns {string} - Blackboard formatted question
- */
-function parseMCQ(text) {
-    try {
-        // First, split into lines before processing to preserve structure
-        const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (rawLines.length < 2) {
-            throw new Error('MCQ must have at least a question and one choice');
-        }
-
-        // Process the question line (first line)
-        let questionLine = rawLines[0];
-        // Strip metadata from question line only
-        questionLine = stripSEUMetadata(questionLine);
-        const { cleaned: question } = extractQuestionPrefix(questionLine);
-        
-        if (!question || question.trim() === '') {
-            throw new Error('MCQ question text is required');
-        }
-
-        // Process choices (remaining lines)
-        const choices = [];
-        for (let i = 1; i < rawLines.length; i++) {
-            let choiceLine = rawLines[i];
-            // Strip metadata from choice line
-            choiceLine = stripSEUMetadata(choiceLine);
-            
-            // Check for correct answer marker before processing
-            const isCorrect = choiceLine.includes('*');
-            
-            // Remove letter prefix (a., b., c., etc.) - case insensitive, supports both . and ) formats
-            // Pattern matches: "a.", "a)", "a ", "A.", etc.
-            let choice = choiceLine.replace(/^[a-z\u0600-\u06FF]\)?\s*\.?\s*/i, '').trim();
-            
-            // Remove asterisk
-            choice = choice.replace(/\*/g, '').trim();
-            
-            // Skip empty choices
-            if (!choice || choice === '') continue;
-            
-            choices.push({
-                text: choice,
-                isCorrect: isCorrect
-            });
-        }
-
-        if (choices.length === 0) {
-            throw new Error('MCQ must have at least one choice');
-        }
-
-        if (choices.filter(c => c.isCorrect).length === 0) {
-            throw new Error('MCQ must have at least one correct answer');
-        }
-
-        // Format: MC TAB question TAB choice TAB correct|incorrect TAB ...
-        let formatted = `${QUESTION_TYPES.MC}\t${question}`;
-        choices.forEach(choice => {
-            formatted += `\t${choice.text}\t${choice.isCorrect ? 'correct' : 'incorrect'}`;
-        });
-
-        return formatted;
-    } catch (error) {
-        throw new Error(`MCQ parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts Essay questions
- * Supports both numbered "1. [Question]" and lettered "a) [Question]" formats
- * @param {string} text - The Essay question block
- * @returns {string} - Blackboard formatted question
- */
-function parseEssay(text) {
-    try {
-        let cleaned = stripSEUMetadata(text);
-        const { cleaned: question } = extractQuestionPrefix(cleaned);
-        
-        if (!question) {
-            throw new Error('Essay question text is required');
-        }
-
-        // Format: ESS TAB question TAB [example]
-        return `${QUESTION_TYPES.ESS}\t${question}\t`;
-    } catch (error) {
-        throw new Error(`Essay parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts True/False questions
- * Format: "1. [Question] (LO#) ...\nTrue*\nFalse" or "1. [Question] ...\nFalse*\nTrue"
- * @param {string} text - The T/F question block
- * @returns {string} - Blackboard formatted question
- */
-function parseTrueFalse(text) {
-    try {
-        let cleaned = stripSEUMetadata(text);
-        const lines = cleaned.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (lines.length < 1) {
-            throw new Error('True/False question text is required');
-        }
-
-        const { cleaned: question } = extractQuestionPrefix(lines[0]);
-        
-        if (!question) {
-            throw new Error('True/False question text is required');
-        }
-
-        // Default to false, check for true marked with *
-        let answer = 'false';
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].toLowerCase();
-            if (line.includes('true') && lines[i].includes('*')) {
-                answer = 'true';
-                break;
-            } else if (line.includes('false') && lines[i].includes('*')) {
-                answer = 'false';
-                break;
-            }
-        }
-
-        // Format: TF TAB question TAB true|false
-        return `${QUESTION_TYPES.TF}\t${question}\t${answer}`;
-    } catch (error) {
-        throw new Error(`True/False parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts Fill in the Blank questions
- * Format: "1. [Question] (LO#) ...\n[answer1]\n[answer2]\n..."
- * @param {string} text - The FIB question block
- * @returns {string} - Blackboard formatted question
- */
-function parseFillInBlank(text) {
-    try {
-        // First, split into lines before processing to preserve structure
-        const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (rawLines.length < 1) {
-            throw new Error('Fill in the Blank question text is required');
-        }
-
-        // Process the question line (first line)
-        let questionLine = rawLines[0];
-        // Strip metadata from question line only
-        questionLine = stripSEUMetadata(questionLine);
-        const { cleaned: question } = extractQuestionPrefix(questionLine);
-        
-        if (!question || question.trim() === '') {
-            throw new Error('Fill in the Blank question text is required');
-        }
-
-        // Process answers (remaining lines)
-        const answers = [];
-        for (let i = 1; i < rawLines.length; i++) {
-            let answerLine = rawLines[i];
-            // Strip metadata from answer line
-            answerLine = stripSEUMetadata(answerLine);
-            // Trim and skip empty answers
-            if (answerLine && answerLine.trim() !== '') {
-                answers.push(answerLine.trim());
-            }
-        }
-        
-        if (answers.length === 0) {
-            throw new Error('Fill in the Blank must have at least one answer');
-        }
-
-        // Format: FIB TAB question TAB answer1 TAB answer2 ...
-        let formatted = `${QUESTION_TYPES.FIB}\t${question}`;
-        answers.forEach(answer => {
-            formatted += `\t${answer}`;
-        });
-
-        return formatted;
-    } catch (error) {
-        throw new Error(`Fill in the Blank parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts Multiple Answer questions
- * Format: Similar to MCQ but allows multiple correct answers
- * @param {string} text - The MA question block
- * @returns {string} - Blackboard formatted question
- */
-function parseMultipleAnswer(text) {
-    try {
-        // First, split into lines before processing to preserve structure
-        const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (rawLines.length < 2) {
-            throw new Error('Multiple Answer must have at least a question and one choice');
-        }
-
-        // Process the question line (first line)
-        let questionLine = rawLines[0];
-        // Strip metadata from question line only
-        questionLine = stripSEUMetadata(questionLine);
-        const { cleaned: question } = extractQuestionPrefix(questionLine);
-        
-        if (!question || question.trim() === '') {
-            throw new Error('Multiple Answer question text is required');
-        }
-
-        // Process choices (remaining lines)
-        const choices = [];
-        for (let i = 1; i < rawLines.length; i++) {
-            let choiceLine = rawLines[i];
-            // Strip metadata from choice line
-            choiceLine = stripSEUMetadata(choiceLine);
-            
-            // Check for correct answer marker before processing
-            const isCorrect = choiceLine.includes('*');
-            
-            // Remove letter prefix (a., b., c., etc.) - case insensitive, supports both . and ) formats
-            // Pattern matches: "a.", "a)", "a ", "A.", etc.
-            let choice = choiceLine.replace(/^[a-z\u0600-\u06FF]\)?\s*\.?\s*/i, '').trim();
-            
-            // Remove asterisk
-            choice = choice.replace(/\*/g, '').trim();
-            
-            // Skip empty choices
-            if (!choice || choice === '') continue;
-            
-            choices.push({
-                text: choice,
-                isCorrect: isCorrect
-            });
-        }
-
-        if (choices.length === 0) {
-            throw new Error('Multiple Answer must have at least one choice');
-        }
-
-        if (choices.filter(c => c.isCorrect).length === 0) {
-            throw new Error('Multiple Answer must have at least one correct answer');
-        }
-
-        // Format: MA TAB question TAB choice TAB correct|incorrect TAB ...
-        let formatted = `${QUESTION_TYPES.MA}\t${question}`;
-        choices.forEach(choice => {
-            formatted += `\t${choice.text}\t${choice.isCorrect ? 'correct' : 'incorrect'}`;
-        });
-
-        return formatted;
-    } catch (error) {
-        throw new Error(`Multiple Answer parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts Matching questions
- * Format: "1. [Question] (LO#) ...\n[answer1] [matching1]\n[answer2] [matching2]\n..."
- * @param {string} text - The MAT question block
- * @returns {string} - Blackboard formatted question
- */
-function parseMatching(text) {
-    try {
-        let cleaned = stripSEUMetadata(text);
-        const lines = cleaned.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (lines.length < 2) {
-            throw new Error('Matching must have at least a question and one answer pair');
-        }
-
-        const { cleaned: question } = extractQuestionPrefix(lines[0]);
-        
-        if (!question) {
-            throw new Error('Matching question text is required');
-        }
-
-        const pairs = [];
-        for (let i = 1; i < lines.length; i++) {
-            const parts = lines[i].split(/\s+/).filter(p => p !== '');
-            if (parts.length >= 2) {
-                // Assume format: answer matching_text
-                const answer = parts[0];
-                const matching = parts.slice(1).join(' ');
-                pairs.push({ answer, matching });
-            }
-        }
-
-        if (pairs.length === 0) {
-            throw new Error('Matching must have at least one answer pair');
-        }
-
-        // Format: MAT TAB question TAB answer TAB matching TAB answer2 TAB matching2 ...
-        let formatted = `${QUESTION_TYPES.MAT}\t${question}`;
-        pairs.forEach(pair => {
-            formatted += `\t${pair.answer}\t${pair.matching}`;
-        });
-
-        return formatted;
-    } catch (error) {
-        throw new Error(`Matching parsing error: ${error.message}`);
-    }
-}
-
-/**
- * Parses and converts Numeric Response questions
- * Format: "1. [Question] (LO#) ...\n[answer]\n[tolerance]" (tolerance optional)
- * @param {string} text - The NUM question block
- * @returns {string} - Blackboard formatted question
- */
-function parseNumericResponse(text) {
-    try {
-        // First, split into lines before processing to preserve structure
-        const rawLines = text.split('\n').map(line => line.trim()).filter(line => line !== '');
-        
-        if (rawLines.length < 1) {
-            throw new Error('Numeric Response question text is required');
-        }
-
-        // Process the question line (first line)
-        let questionLine = rawLines[0];
-        // Strip metadata from question line only
-        questionLine = stripSEUMetadata(questionLine);
-        const { cleaned: question } = extractQuestionPrefix(questionLine);
-        
-        if (!question || question.trim() === '') {
-            throw new Error('Numeric Response question text is required');
-        }
-
-        // Process answer (second line, if exists)
-        let answer = '';
-        if (rawLines.length > 1) {
-            answer = stripSEUMetadata(rawLines[1]).trim();
-        }
-
-        // Process tolerance (third line, if exists)
-        let tolerance = '';
-        if (rawLines.length > 2) {
-            tolerance = stripSEUMetadata(rawLines[2]).trim();
-        }
-
-        if (!answer || answer === '') {
-            throw new Error('Numeric Response must have an answer');
-        }
-
-        // Format: NUM TAB question TAB answer TAB [tolerance]
-        return `${QUESTION_TYPES.NUM}\t${question}\t${answer}${tolerance ? `\t${tolerance}` : ''}`;
-    } catch (error) {
-        throw new Error(`Numeric Response parsing error: ${error.message}`);
-    }
-}
-
 // ============================================================================
 // QUESTION COUNTING FUNCTIONS
 // ============================================================================
@@ -570,11 +101,10 @@ function updateQuestionCounter(type) {
  * Updates the total question count
  */
 function updateTotalQuestions() {
-    const counters = ['mcq', 'essay', 'tf', 'fib', 'ma', 'mat', 'num'];
     let total = 0;
     
-    counters.forEach(type => {
-        const counter = document.getElementById(`${type}Counter`);
+    QUESTION_TABS.forEach(({ key }) => {
+        const counter = document.getElementById(`${key}Counter`);
         if (counter) {
             total += parseInt(counter.textContent) || 0;
         }
@@ -607,186 +137,54 @@ function convertQuestions() {
     }
 
     try {
-  let convertedText = '';
         const errors = [];
-        let totalQuestions = 0;
-
-        // Process MCQ
-        const mcqText = document.getElementById('mcqText')?.value || '';
-  if (mcqText.trim() !== '') {
-            // Split by numbered questions, but also handle cases where first question might not have number
-            let mcqQuestions = mcqText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            
-            // If no numbered questions found, treat entire text as one question
-            if (mcqQuestions.length === 0 && mcqText.trim() !== '') {
-                mcqQuestions = [mcqText.trim()];
-            }
-            
-            const convertedMCQ = [];
-            
-            mcqQuestions.forEach((block, index) => {
-                try {
-                    // Trim the block to remove any leading/trailing whitespace
-                    const trimmedBlock = block.trim();
-                    if (trimmedBlock) {
-                        convertedMCQ.push(parseMCQ(trimmedBlock));
-                        totalQuestions++;
-                    }
-                } catch (error) {
-                    errors.push(`MCQ Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedMCQ.length > 0) {
-    convertedText += convertedMCQ.join('\n');
-            }
-            updateQuestionCounter('mcq');
-  }
-
-        // Process Essay (supports both numbered and lettered)
-        const essayText = document.getElementById('essayText')?.value || '';
-  if (essayText.trim() !== '') {
-            // Split by both numbered and lettered patterns (supports English and Arabic letters)
-            const essayQuestions = essayText.split(/\n(?=\d+\.\s+|[a-z\u0600-\u06FF]\)\s+)/i).filter(block => block.trim() !== '');
-            const convertedEssay = [];
-            
-            essayQuestions.forEach((block, index) => {
-                try {
-                    convertedEssay.push(parseEssay(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`Essay Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedEssay.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedEssay.join('\n');
-            }
-            updateQuestionCounter('essay');
-        }
-
-        // Process True/False
-        const tfText = document.getElementById('tfText')?.value || '';
-  if (tfText.trim() !== '') {
-            const tfQuestions = tfText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            const convertedTF = [];
-            
-            tfQuestions.forEach((block, index) => {
-                try {
-                    convertedTF.push(parseTrueFalse(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`True/False Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedTF.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedTF.join('\n');
-            }
-            updateQuestionCounter('tf');
-        }
-
-        // Process Fill in the Blank
-        const fibText = document.getElementById('fibText')?.value || '';
-  if (fibText.trim() !== '') {
-            const fibQuestions = fibText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            const convertedFIB = [];
-            
-            fibQuestions.forEach((block, index) => {
-                try {
-                    convertedFIB.push(parseFillInBlank(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`Fill in the Blank Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedFIB.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedFIB.join('\n');
-            }
-            updateQuestionCounter('fib');
-        }
-
-        // Process Multiple Answer
-        const maText = document.getElementById('maText')?.value || '';
-        if (maText.trim() !== '') {
-            const maQuestions = maText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            const convertedMA = [];
-            
-            maQuestions.forEach((block, index) => {
-                try {
-                    convertedMA.push(parseMultipleAnswer(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`Multiple Answer Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedMA.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedMA.join('\n');
-            }
-            updateQuestionCounter('ma');
-        }
-
-        // Process Matching
-        const matText = document.getElementById('matText')?.value || '';
-        if (matText.trim() !== '') {
-            const matQuestions = matText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            const convertedMAT = [];
-            
-            matQuestions.forEach((block, index) => {
-                try {
-                    convertedMAT.push(parseMatching(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`Matching Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedMAT.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedMAT.join('\n');
-            }
-            updateQuestionCounter('mat');
-        }
+        const warnings = [];
+        const questions = [];
+
+        // Parse every tab through the shared parser layer (js/question_parser.js)
+        QUESTION_TABS.forEach(tab => {
+            const text = document.getElementById(`${tab.key}Text`)?.value || '';
+            if (text.trim() === '') return;
+
+            const result = parseQuestionTab(tab, text);
+            questions.push(...result.questions);
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+            updateQuestionCounter(tab.key);
+        });
 
-        // Process Numeric Response
-        const numText = document.getElementById('numText')?.value || '';
-        if (numText.trim() !== '') {
-            const numQuestions = numText.split(/\n(?=\d+\.\s+)/).filter(block => block.trim() !== '');
-            const convertedNUM = [];
-            
-            numQuestions.forEach((block, index) => {
-                try {
-                    convertedNUM.push(parseNumericResponse(block));
-                    totalQuestions++;
-                } catch (error) {
-                    errors.push(`Numeric Response Question ${index + 1}: ${error.message}`);
-                }
-            });
-            
-            if (convertedNUM.length > 0) {
-                convertedText += (convertedText ? '\n' : '') + convertedNUM.join('\n');
-            }
-            updateQuestionCounter('num');
-        }
+        const totalQuestions = questions.length;
+        const convertedText = generateBlackboardTXT(orderQuestions(questions, getExportSettings().order));
 
         // Validate output format
         if (convertedText && !validateTabDelimited(convertedText)) {
-            errors.push('Warning: Output format validation failed. Please review the converted questions.');
+            warnings.push({ severity: 'warning', message: 'Output format validation failed. Please review the converted questions.' });
         }
 
-        // Check batch size
-        if (totalQuestions > MAX_BATCH_SIZE) {
-            errors.push(`Warning: Batch size (${totalQuestions}) exceeds recommended maximum (${MAX_BATCH_SIZE}). Consider splitting into smaller batches.`);
+        // Warn when the .txt download will be a zip of several files (same split as downloadOutput)
+        const exportSettings = getExportSettings();
+        const { batches } = splitForDownload(questions, exportSettings);
+        if (batches.length > 1) {
+            const reason = totalQuestions > exportSettings.batchSize
+                ? `${totalQuestions} questions exceed the maximum of ${exportSettings.batchSize} per file`
+                : 'The questions are split into pools';
+            warnings.push({ severity: 'warning', message: `${reason}. Download as .txt will save ${batches.length} files in one zip, with a summary of which questions went where.` });
+        }
+
+        // Blackboard's upload format has no feedback columns
+        if (questions.some(q => q.feedback.correct || q.feedback.incorrect || (q.choices || []).some(c => c.feedback))) {
+            warnings.push({ severity: 'warning', message: 'Feedback and choice rationales are not part of the Blackboard TXT upload format. Download the QTI 2.1 package to keep them.' });
         }
 
         // Set output
   outputText.value = convertedText.trim();
+        renderDiagnostics([...errors, ...warnings]);
 
         // Show results
         if (errors.length > 0) {
-            showNotification(`${totalQuestions} questions converted with ${errors.length} error(s). Check console for details.`, 'error', 5000);
-            console.error('Conversion errors:', errors);
+            showNotification(`${totalQuestions} questions converted with ${errors.length} error(s). See the diagnostics below the buttons.`, 'error', 5000);
+        } else if (warnings.length > 0) {
+            showNotification(`${totalQuestions} question(s) converted with ${warnings.length} warning(s). See the diagnostics below the buttons.`, 'info', 5000);
         } else if (totalQuestions > 0) {
             showNotification(`Successfully converted ${totalQuestions} question(s)!`, 'success');
         } else {
@@ -807,45 +205,140 @@ function convertQuestions() {
     }
 }
 
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+/**
+ * Formats the location part of a diagnostic ("MCQ · Question 2 · Lines 6–8")
+ * @param {Object} diagnostic - Diagnostic from the parser layer
+ * @returns {string} - Human-readable location, empty for general messages
+ */
+function formatDiagnosticLocation(diagnostic) {
+    if (!diagnostic.tab) return '';
+
+    const translate = key => (window.t ? window.t(key) : key);
+    const tabLabel = window.t ? window.t(diagnostic.labelKey) : diagnostic.label;
+    const number = diagnostic.number ?? diagnostic.index + 1;
+    const lines = diagnostic.startLine === diagnostic.endLine
+        ? `${translate('diagnosticsLine')} ${diagnostic.startLine}`
+        : `${translate('diagnosticsLines')} ${diagnostic.startLine}–${diagnostic.endLine}`;
+
+    return `${tabLabel} · ${translate('diagnosticsQuestion')} ${number} · ${lines}`;
+}
+
+/**
+ * Renders conversion errors and warnings in the diagnostics panel
+ * Entries tied to a question jump to its lines when clicked
+ * @param {Array<Object>} diagnostics - Diagnostics from parseQuestionTab (and general warnings)
+ */
+function renderDiagnostics(diagnostics) {
+    const panel = document.getElementById('diagnosticsPanel');
+    const list = document.getElementById('diagnosticsList');
+    if (!panel || !list) return;
+
+    list.innerHTML = '';
+    panel.hidden = diagnostics.length === 0;
+
+    diagnostics.forEach(diagnostic => {
+        const item = document.createElement('li');
+        item.className = `diagnostic ${diagnostic.severity}`;
+
+        const entry = document.createElement(diagnostic.tab ? 'button' : 'div');
+        entry.className = 'diagnostic-entry';
+        if (diagnostic.tab) {
+            entry.type = 'button';
+            entry.addEventListener('click', () => {
+                focusQuestionLines(diagnostic.tab, diagnostic.startLine, diagnostic.endLine);
+            });
+        }
+
+        const severity = document.createElement('span');
+        severity.className = 'diagnostic-severity';
+        severity.textContent = window.t
+            ? window.t(diagnostic.severity === 'error' ? 'diagnosticsError' : 'diagnosticsWarning')
+            : diagnostic.severity;
+        entry.appendChild(severity);
+
+        const location = formatDiagnosticLocation(diagnostic);
+        if (location) {
+            const locationSpan = document.createElement('span');
+            locationSpan.className = 'diagnostic-location';
+            locationSpan.textContent = location;
+            entry.appendChild(locationSpan);
+        }
+
+        const message = document.createElement('span');
+        message.className = 'diagnostic-message';
+        message.textContent = diagnostic.message;
+        entry.appendChild(message);
+
+        item.appendChild(entry);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Opens a question tab, focuses its textarea and selects a line range
+ * @param {string} tabKey - Tab key ('mcq', 'essay', ...)
+ * @param {number} startLine - First line to select (1-based)
+ * @param {number} endLine - Last line to select (1-based, inclusive)
+ */
+function focusQuestionLines(tabKey, startLine, endLine) {
+    const tab = getQuestionTab(tabKey);
+    const textarea = document.getElementById(`${tabKey}Text`);
+    if (!tab || !textarea) return;
+
+    const tabLink = document.querySelector(`.tablinks[aria-controls="${tab.tabId}"]`);
+    if (tabLink) {
+        tabLink.click();
+    }
+
+    const lines = textarea.value.split('\n');
+    const start = lines.slice(0, startLine - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    const end = lines.slice(0, endLine).reduce((offset, line) => offset + line.length + 1, 0) - 1;
+
+    textarea.focus();
+    textarea.setSelectionRange(start, Math.max(start, end));
+
+    // Scroll the selection into view
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, (startLine - 2) * lineHeight);
+}
+
 // ============================================================================
 // DOWNLOAD FUNCTION
 // ============================================================================
 
 /**
- * Downloads the converted output as a tab-delimited text file
+ * Downloads the questions of every tab as a tab-delimited text file
+ * Exams larger than the batch size, or split into pools, are saved as several files in one zip (js/batch_export.js)
  * Includes validation and cleanup
  */
 function downloadOutput() {
-    const outputText = document.getElementById('outputText');
-    if (!outputText) return;
+    // Re-parse the tabs so a single file and a batch zip come from the same questions
+    const settings = getExportSettings();
+    const { questions } = parseAllTabs();
 
-    const content = outputText.value.trim();
+    if (questions.length === 0) {
+        showNotification('No questions to download. Please enter questions first.', 'error');
+        return;
+    }
 
-    if (!content) {
-        showNotification('No content to download. Please convert questions first.', 'error');
+    if (splitForDownload(questions, settings).batches.length > 1) {
+        downloadBatches(questions, settings);
         return;
     }
 
     try {
+        const content = generateBlackboardTXT(orderQuestions(questions, settings.order)).trim();
+
         // Validate format
         if (!validateTabDelimited(content)) {
             showNotification('Warning: Output format may be invalid. Downloading anyway...', 'error', 3000);
         }
 
-        // Create blob and download
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-        const url = window.URL.createObjectURL(blob);
-  const link = document.createElement('a');
-        link.href = url;
-  link.download = 'blackboard_questions.txt';
-        document.body.appendChild(link);
-  link.click();
-        document.body.removeChild(link);
-
-        // Clean up blob URL
-        setTimeout(() => {
-            window.URL.revokeObjectURL(url);
-        }, 100);
+        saveTextFile(content, 'blackboard_questions.txt', 'text/plain;charset=utf-8');
 
         showNotification('File downloaded successfully!', 'success');
     } catch (error) {
@@ -854,6 +347,47 @@ function downloadOutput() {
     }
 }
 
+/**
+ * Saves text as a file through a temporary download link
+ * Shared by every single-file download
+ * @param {string} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - Content type, including the charset
+ */
+function saveTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Clean up blob URL
+    setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Downloads the questions in the format picked in the format dropdown
+ */
+function downloadExport() {
+    switch (getExportSettings().format) {
+        case 'qti12':
+            return downloadQTI12();
+        case 'cc13':
+            return downloadCommonCartridge();
+        case 'moodle':
+            return downloadMoodleXML();
+        case 'gift':
+            return downloadGIFT();
+        default:
+            return downloadQTI();
+    }
+}
+
 /**
  * Copies output to clipboard
  */
@@ -885,24 +419,137 @@ function copyToClipboard() {
     }
 }
 
+/**
+ * Reads the per-tab default points saved by saveDefaultPoints
+ * @returns {Object} - Points keyed by tab key
+ */
+function getSavedDefaultPoints() {
+    try {
+        return JSON.parse(localStorage.getItem('defaultPoints') || '{}');
+    } catch (error) {
+        console.error('Ignoring invalid saved default points:', error);
+        return {};
+    }
+}
+
+/**
+ * Remembers a tab's default point value for the next visit
+ * @param {string} tabKey - Tab key ('mcq', 'essay', ...)
+ */
+function saveDefaultPoints(tabKey) {
+    const saved = getSavedDefaultPoints();
+    saved[tabKey] = getTabDefaultPoints(tabKey);
+    localStorage.setItem('defaultPoints', JSON.stringify(saved));
+}
+
+/**
+ * Restores the saved default point values into each tab's points input
+ */
+function loadDefaultPoints() {
+    Object.entries(getSavedDefaultPoints()).forEach(([tabKey, points]) => {
+        const input = document.getElementById(`${tabKey}DefaultPoints`);
+        if (input) input.value = points;
+    });
+}
+
+/**
+ * Reads the export settings shown around the buttons
+ * @returns {Object} - { poolName, shuffleChoices, order, poolGrouping, batchSize, batchPackages, format, courseOutcomes }
+ */
+function getExportSettings() {
+    return {
+        poolName: document.getElementById('poolName')?.value.trim() || '',
+        shuffleChoices: Boolean(document.getElementById('shuffleChoices')?.checked),
+        order: document.getElementById('questionOrder')?.value || QUESTION_ORDERS.TYPE,
+        poolGrouping: document.getElementById('poolGrouping')?.value || POOL_GROUPINGS.NONE,
+        batchSize: normalizeBatchSize(document.getElementById('batchSize')?.value),
+        batchPackages: Boolean(document.getElementById('batchPackages')?.checked),
+        format: document.getElementById('exportFormat')?.value || 'qti21',
+        courseOutcomes: document.getElementById('courseOutcomes')?.value.trim() || ''
+    };
+}
+
+/**
+ * Turns a batch size input value into a whole number of questions per file
+ * @param {string|number} value - Input or saved value
+ * @returns {number} - At least 1, MAX_BATCH_SIZE when the value is missing or invalid
+ */
+function normalizeBatchSize(value) {
+    const size = parseInt(value, 10);
+    return Number.isFinite(size) && size >= 1 ? size : MAX_BATCH_SIZE;
+}
+
+/**
+ * Remembers the export settings for the next visit
+ */
+function saveExportSettings() {
+    localStorage.setItem('exportSettings', JSON.stringify(getExportSettings()));
+}
+
+/**
+ * Fills the export settings inputs
+ * @param {Object} settings - { poolName, shuffleChoices, order, poolGrouping, batchSize, batchPackages, format, courseOutcomes }
+ */
+function applyExportSettings(settings) {
+    const poolName = document.getElementById('poolName');
+    const shuffleChoices = document.getElementById('shuffleChoices');
+    const order = document.getElementById('questionOrder');
+    const poolGrouping = document.getElementById('poolGrouping');
+    const batchSize = document.getElementById('batchSize');
+    const batchPackages = document.getElementById('batchPackages');
+    const format = document.getElementById('exportFormat');
+    const courseOutcomes = document.getElementById('courseOutcomes');
+    if (poolName) poolName.value = settings.poolName || '';
+    if (shuffleChoices) shuffleChoices.checked = Boolean(settings.shuffleChoices);
+    if (order) {
+        order.value = Object.values(QUESTION_ORDERS).includes(settings.order) ? settings.order : QUESTION_ORDERS.TYPE;
+    }
+    if (poolGrouping) {
+        poolGrouping.value = Object.values(POOL_GROUPINGS).includes(settings.poolGrouping) ? settings.poolGrouping : POOL_GROUPINGS.NONE;
+    }
+    if (batchSize) batchSize.value = normalizeBatchSize(settings.batchSize);
+    if (batchPackages) batchPackages.checked = Boolean(settings.batchPackages);
+    if (format && settings.format && format.querySelector(`option[value="${settings.format}"]`)) {
+        format.value = settings.format;
+    }
+    if (courseOutcomes) courseOutcomes.value = settings.courseOutcomes || '';
+}
+
+/**
+ * Restores the saved export settings
+ */
+function loadExportSettings() {
+    try {
+        applyExportSettings(JSON.parse(localStorage.getItem('exportSettings') || '{}'));
+    } catch (error) {
+        console.error('Ignoring invalid saved export settings:', error);
+    }
+}
+
 /**
  * Clears all input fields and output
  */
 function clearAll() {
     if (confirm('Are you sure you want to clear all questions and output?')) {
-        const textareas = ['mcqText', 'essayText', 'tfText', 'fibText', 'maText', 'matText', 'numText', 'outputText'];
+        // Keep a copy so the clear can be undone from the banner
+        const previousTabs = collectTabContents();
+
+        const textareas = [...QUESTION_TABS.map(({ key }) => `${key}Text`), 'outputText'];
         textareas.forEach(id => {
             const element = document.getElementById(id);
             if (element) element.value = '';
         });
 
-        const counters = ['mcq', 'essay', 'tf', 'fib', 'ma', 'mat', 'num'];
-        counters.forEach(type => {
-            const counter = document.getElementById(`${type}Counter`);
+        QUESTION_TABS.forEach(({ key }) => {
+            const counter = document.getElementById(`${key}Counter`);
             if (counter) counter.textContent = '0';
         });
 
         updateTotalQuestions();
+        lintAllTabs();
+        renderDiagnostics([]);
+        scheduleAutosave();
+        offerUndoClear(previousTabs);
         showNotification('All fields cleared.', 'info');
     }
 }
@@ -1035,6 +682,9 @@ function initializeApp() {
             const lang = btn.dataset.lang;
             if (window.setLanguage) {
                 window.setLanguage(lang);
+                // Badges and the blueprint are rendered text; refresh them in the new language
+                lintAllTabs();
+                refreshBlueprint();
             }
         });
     });
@@ -1061,6 +711,18 @@ function initializeApp() {
 
     // Initialize counters
     updateTotalQuestions();
+
+    // Restore per-tab default points
+    loadDefaultPoints();
+
+    // Restore pool name and shuffle options
+    loadExportSettings();
+
+    // Lint question tabs as the user types
+    initializeLinting();
+
+    // Autosave tabs and offer to restore the previous session
+    initializeDrafts();
 }
 
 /**